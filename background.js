@@ -1,3 +1,79 @@
-chrome.action.onClicked.addListener(() => {
+const SCHEDULE_ALARM_PREFIX = 'scheduled-recording:';
+const RECORDER_URL = chrome.runtime.getURL('index.html');
+
+chrome.action.onClicked.addListener((tab) => {
+    // Clicking the button on a page grants access to that tab, so the recorder can capture its
+    // audio. Session storage keeps it while this worker is asleep.
+    if (tab && tab.id !== undefined && !(tab.url || '').startsWith(RECORDER_URL)) {
+        chrome.storage.session.set({ captureTab: { id: tab.id, title: tab.title || '' } });
+    }
     chrome.tabs.create({ url: "index.html" });
 });
+
+// The tab whose audio can be recorded, if it is still open
+async function getCaptureTab() {
+    const { captureTab } = await chrome.storage.session.get('captureTab');
+    if (!captureTab) return null;
+    try {
+        const tab = await chrome.tabs.get(captureTab.id);
+        return { id: tab.id, title: tab.title || captureTab.title };
+    } catch (e) {
+        await chrome.storage.session.remove('captureTab');
+        return null;
+    }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'capture-tab') {
+        getCaptureTab().then(tab => sendResponse(tab && { title: tab.title }));
+        return true;
+    }
+    if (message.type === 'tab-capture-stream-id') {
+        // The id only works in the recorder tab that asked for it and expires within seconds
+        getCaptureTab()
+            .then(tab => tab && sender.tab
+                ? chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id, consumerTabId: sender.tab.id })
+                : null)
+            .then(streamId => sendResponse({ streamId }))
+            .catch(err => {
+                console.warn('Tab capture failed:', err);
+                sendResponse({ streamId: null });
+            });
+        return true;
+    }
+    return false;
+});
+
+// A scheduled recording is due: point an open recorder page at it, or open one
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+    const id = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+    const url = `index.html#scheduled=${encodeURIComponent(id)}`;
+
+    const tabs = await chrome.tabs.query({});
+    const recorderTab = tabs.find(tab => tab.url && tab.url.startsWith(RECORDER_URL));
+    if (recorderTab) {
+        // Only the hash changes, so the page is not reloaded
+        await chrome.tabs.update(recorderTab.id, { url: chrome.runtime.getURL(url), active: true });
+        await chrome.windows.update(recorderTab.windowId, { focused: true });
+    } else {
+        await chrome.tabs.create({ url });
+    }
+});
+
+// The start/stop keyboard shortcut: tell the open recorder, or open one that starts recording
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command !== 'toggle-recording') return;
+    const tabs = await chrome.tabs.query({});
+    const recorderTab = tabs.find(tab => tab.url && tab.url.startsWith(RECORDER_URL));
+    if (recorderTab) {
+        try {
+            await chrome.tabs.sendMessage(recorderTab.id, { type: 'toggle-recording' });
+        } catch (err) {
+            // The page is still loading or was closed in the meantime
+            console.warn('The recorder did not respond to the shortcut:', err);
+        }
+    } else {
+        await chrome.tabs.create({ url: 'index.html#command=toggle-recording' });
+    }
+});
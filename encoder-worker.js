@@ -0,0 +1,120 @@
+// Encoder worker: turns raw PCM channels into WAV or MP3 files off the main thread.
+// MP3 encoding uses lamejs (LGPL, see lib/LICENSE.lame).
+importScripts('lib/lame.min.js');
+
+const MP3_FRAME_SIZE = 1152;
+
+self.onmessage = (e) => {
+    const { jobId, format, channels, sampleRate, bitDepth, bitrate } = e.data;
+    const reportProgress = (progress) => self.postMessage({ jobId, progress });
+
+    try {
+        let blob;
+        if (format === 'mp3') {
+            blob = encodeMp3(channels, sampleRate, bitrate || 128, reportProgress);
+        } else {
+            blob = encodeWav(channels, sampleRate, bitDepth || 16, reportProgress);
+        }
+        self.postMessage({ jobId, blob });
+    } catch (err) {
+        self.postMessage({ jobId, error: err.message || String(err) });
+    }
+};
+
+function encodeWav(channels, sampleRate, bitDepth, reportProgress) {
+    if (bitDepth !== 16 && bitDepth !== 24) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) {
+            view.setUint8(offset + i, str.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const maxValue = bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+    const progressStep = Math.max(1, Math.floor(numFrames / 20));
+    let offset = 44;
+
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            const value = Math.round(sample < 0 ? sample * (maxValue + 1) : sample * maxValue);
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                bytes[offset] = value & 0xFF;
+                bytes[offset + 1] = (value >> 8) & 0xFF;
+                bytes[offset + 2] = (value >> 16) & 0xFF;
+            }
+            offset += bytesPerSample;
+        }
+        if (i % progressStep === 0) {
+            reportProgress(i / numFrames);
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function encodeMp3(channels, sampleRate, bitrate, reportProgress) {
+    // MPEG-2 and 2.5 (the lower sample rates) cap the bitrate lower than MPEG-1
+    const maxBitrate = sampleRate >= 32000 ? 320 : sampleRate >= 16000 ? 160 : 64;
+    bitrate = Math.min(bitrate, maxBitrate);
+
+    const numChannels = Math.min(2, channels.length);
+    const encoder = new lamejs.Mp3Encoder(numChannels, sampleRate, bitrate);
+    const pcm = channels.slice(0, numChannels).map(floatTo16BitPcm);
+    const numFrames = pcm[0].length;
+    const parts = [];
+
+    for (let i = 0; i < numFrames; i += MP3_FRAME_SIZE) {
+        const left = pcm[0].subarray(i, i + MP3_FRAME_SIZE);
+        const right = numChannels > 1 ? pcm[1].subarray(i, i + MP3_FRAME_SIZE) : undefined;
+        const encoded = encoder.encodeBuffer(left, right);
+        if (encoded.length > 0) {
+            parts.push(encoded);
+        }
+        if ((i / MP3_FRAME_SIZE) % 50 === 0) {
+            reportProgress(i / numFrames);
+        }
+    }
+
+    const tail = encoder.flush();
+    if (tail.length > 0) {
+        parts.push(tail);
+    }
+    return new Blob(parts, { type: 'audio/mpeg' });
+}
+
+function floatTo16BitPcm(samples) {
+    const output = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        output[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+    }
+    return output;
+}
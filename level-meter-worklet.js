@@ -0,0 +1,46 @@
+// Level meter worklet: measures the signal going to the recorder on the audio thread, so
+// no peak or clipped sample is missed between animation frames or in a background tab.
+const REPORT_EVERY_FRAMES = 2048;
+// Float samples this close to full scale come out of the encoder as clipped
+const CLIP_LEVEL = 0.999;
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    reset() {
+        this.frames = 0;
+        this.sumSquares = 0;
+        this.peak = 0;
+        this.clipped = 0;
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (!channels || channels.length === 0) return true;
+
+        for (const samples of channels) {
+            for (let i = 0; i < samples.length; i++) {
+                const level = Math.abs(samples[i]);
+                this.sumSquares += samples[i] * samples[i];
+                if (level > this.peak) this.peak = level;
+                if (level >= CLIP_LEVEL) this.clipped++;
+            }
+        }
+        this.frames += channels[0].length;
+
+        if (this.frames >= REPORT_EVERY_FRAMES) {
+            this.port.postMessage({
+                rms: Math.sqrt(this.sumSquares / (this.frames * channels.length)),
+                peak: this.peak,
+                clipped: this.clipped
+            });
+            this.reset();
+        }
+        return true;
+    }
+}
+
+registerProcessor('level-meter', LevelMeterProcessor);
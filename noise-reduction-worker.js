@@ -0,0 +1,154 @@
+// Noise reduction worker: spectral gating for the "Improve" chain, off the main thread
+// because the STFT over a long recording takes a while.
+
+self.onmessage = (e) => {
+    const { jobId, channels, noiseReductionDb } = e.data;
+    try {
+        const output = channels.map(data => reduceNoise(data, noiseReductionDb));
+        self.postMessage({ jobId, channels: output }, output.map(data => data.buffer));
+    } catch (err) {
+        self.postMessage({ jobId, error: err.message || String(err) });
+    }
+};
+
+// Spectral gating: the noise profile is the average spectrum of the quietest
+// frames, and each STFT bin is attenuated by how close it is to that profile.
+function reduceNoise(input, noiseReductionDb) {
+    const frameSize = 2048;
+    const hop = frameSize / 4;
+    const bins = frameSize / 2 + 1;
+    const window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize);
+    }
+
+    // Pad so the first and last samples get full overlap-add coverage
+    const padded = new Float32Array(input.length + frameSize * 2);
+    padded.set(input, frameSize);
+    const frameCount = Math.floor((padded.length - frameSize) / hop) + 1;
+
+    // Pick the quietest 10% of frames as the noise profile
+    const energies = [];
+    for (let f = 0; f < frameCount; f++) {
+        const start = f * hop;
+        // Only frames fully inside the original signal count towards the profile
+        if (start < frameSize || start + frameSize > frameSize + input.length) continue;
+        let sum = 0;
+        for (let i = 0; i < frameSize; i++) {
+            sum += padded[start + i] * padded[start + i];
+        }
+        energies.push({ start, energy: sum });
+    }
+    if (energies.length === 0) return input;
+    energies.sort((a, b) => a.energy - b.energy);
+    const noiseFrames = energies.slice(0, Math.max(1, Math.floor(energies.length * 0.1)));
+
+    const re = new Float32Array(frameSize);
+    const im = new Float32Array(frameSize);
+    const noiseProfile = new Float32Array(bins);
+    noiseFrames.forEach(({ start }) => {
+        loadFrame(padded, start, window, re, im);
+        fft(re, im);
+        for (let k = 0; k < bins; k++) {
+            noiseProfile[k] += Math.hypot(re[k], im[k]) / noiseFrames.length;
+        }
+    });
+
+    const floor = Math.pow(10, -noiseReductionDb / 20);
+    const overSubtraction = 1.5;
+    const smoothing = 0.6;
+    const gains = new Float32Array(bins).fill(1);
+    const output = new Float32Array(padded.length);
+    const windowSum = new Float32Array(padded.length);
+
+    for (let f = 0; f < frameCount; f++) {
+        const start = f * hop;
+        loadFrame(padded, start, window, re, im);
+        fft(re, im);
+
+        for (let k = 0; k < bins; k++) {
+            const magnitude = Math.hypot(re[k], im[k]) || 1e-12;
+            const target = Math.max(floor, 1 - overSubtraction * noiseProfile[k] / magnitude);
+            // Smooth over time to avoid "musical noise" artifacts
+            gains[k] = smoothing * gains[k] + (1 - smoothing) * target;
+            re[k] *= gains[k];
+            im[k] *= gains[k];
+            // Keep the spectrum conjugate-symmetric so the inverse is real
+            if (k > 0 && k < frameSize / 2) {
+                re[frameSize - k] = re[k];
+                im[frameSize - k] = -im[k];
+            }
+        }
+
+        ifft(re, im);
+        for (let i = 0; i < frameSize; i++) {
+            output[start + i] += re[i] * window[i];
+            windowSum[start + i] += window[i] * window[i];
+        }
+    }
+
+    const result = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        const sum = windowSum[i + frameSize];
+        result[i] = sum > 1e-6 ? output[i + frameSize] / sum : 0;
+    }
+    return result;
+}
+
+function loadFrame(source, start, window, re, im) {
+    for (let i = 0; i < window.length; i++) {
+        re[i] = source[start + i] * window[i];
+        im[i] = 0;
+    }
+}
+
+// In-place iterative radix-2 FFT; re and im must have a power-of-two length
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const half = len >> 1;
+        const angle = -2 * Math.PI / len;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let i = 0; i < n; i += len) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = i + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+// Inverse FFT via the conjugate trick, scaled by 1/n
+function ifft(re, im) {
+    const n = re.length;
+    for (let i = 0; i < n; i++) im[i] = -im[i];
+    fft(re, im);
+    for (let i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] = -im[i] / n;
+    }
+}
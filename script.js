@@ -27,7 +27,11 @@ class StorageManager {
 
     static flushWrites() {
         this.pendingWrites.forEach((value, key) => {
-            localStorage.setItem(key, value);
+            try {
+                localStorage.setItem(key, value);
+            } catch (e) {
+                console.error(`Failed to write ${key} to localStorage:`, e);
+            }
         });
         this.pendingWrites.clear();
         this.writeTimeout = null;
@@ -46,674 +50,6080 @@ class StorageManager {
     }
 }
 
-// DarkModeManager Class: Handles dark mode toggle
-class DarkModeManager {
-    constructor(toggleSelector) {
-        this.toggle = document.querySelector(toggleSelector);
-        const savedMode = StorageManager.getFromLocalStorage("darkMode");
-        if (savedMode === "enabled") {
-            document.body.classList.add("dark-mode");
-            this.toggle.checked = true;
-        } else if (savedMode === "disabled") {
-            document.body.classList.remove("dark-mode");
-            this.toggle.checked = false;
+// Unique id for recordings and sessions; the random suffix keeps ids distinct
+// when several are created within the same millisecond (e.g. bulk recovery)
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Converts a base64 data URL (the old localStorage format) back into a Blob
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+// Decodes an audio Blob into an AudioBuffer at the given sample rate without a live AudioContext
+async function decodeAudioBlob(blob, sampleRate = 48000) {
+    const arrayBuffer = await blob.arrayBuffer();
+    const offlineContext = new OfflineAudioContext(1, 1, sampleRate);
+    return offlineContext.decodeAudioData(arrayBuffer);
+}
+
+// The first `seconds` of an AudioBuffer as a new buffer
+function sliceAudioBuffer(audioBuffer, seconds) {
+    const length = Math.max(1, Math.min(audioBuffer.length, Math.round(seconds * audioBuffer.sampleRate)));
+    const output = new AudioBuffer({ length, numberOfChannels: audioBuffer.numberOfChannels, sampleRate: audioBuffer.sampleRate });
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        output.copyToChannel(audioBuffer.getChannelData(c).subarray(0, length), c);
+    }
+    return output;
+}
+
+// Reduces audio to `count` peak values (0..1, max absolute sample across channels per bucket)
+function computePeaks(audioBuffer, count) {
+    const length = audioBuffer.length;
+    const peaks = new Array(count).fill(0);
+    if (length === 0) return peaks;
+    const bucketSize = length / count;
+
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let b = 0; b < count; b++) {
+            const start = Math.floor(b * bucketSize);
+            const end = Math.min(length, Math.max(start + 1, Math.floor((b + 1) * bucketSize)));
+            let peak = peaks[b];
+            for (let i = start; i < end; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+            peaks[b] = Math.min(1, peak);
         }
+    }
+    return peaks;
+}
 
-        this.toggle.addEventListener("change", () => this.toggleDarkMode());
+// Number of points in the peaks array stored with each recording
+const PEAK_COUNT = 200;
+
+// Resamples an arbitrary-length level array to `count` points, keeping the maximum of each bucket
+function resamplePeaks(values, count = PEAK_COUNT) {
+    const peaks = new Array(count).fill(0);
+    if (!values || values.length === 0) return peaks;
+    const bucketSize = values.length / count;
+    for (let b = 0; b < count; b++) {
+        const start = Math.floor(b * bucketSize);
+        const end = Math.max(start + 1, Math.floor((b + 1) * bucketSize));
+        let peak = 0;
+        for (let i = start; i < end && i < values.length; i++) {
+            peak = Math.max(peak, values[i]);
+        }
+        peaks[b] = Math.round(Math.min(1, peak) * 1000) / 1000;
     }
+    return peaks;
+}
 
-    toggleDarkMode() {
-        if (this.toggle.checked) {
-            document.body.classList.add("dark-mode");
-            StorageManager.saveToLocalStorage("darkMode", "enabled");
+// Draws a peaks array as mirrored bars, scaled so the loudest bar fills the canvas height
+function drawPeaks(canvas, peaks, color = '#007bff') {
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = color;
+
+    if (!peaks || peaks.length === 0) {
+        ctx.fillRect(0, Math.floor(height / 2), width, 1);
+        return;
+    }
+
+    const max = Math.max(...peaks) || 1;
+    const barWidth = width / peaks.length;
+    peaks.forEach((peak, i) => {
+        const barHeight = Math.max(1, (peak / max) * height);
+        ctx.fillRect(i * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 0.5), barHeight);
+    });
+}
+
+// Saves a Blob through a temporary download link
+function triggerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Picks a file extension from a recording's stored MIME type (container part only)
+const EXTENSIONS_BY_MIME_TYPE = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'mp4',
+    'audio/wav': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/flac': 'flac'
+};
+
+function extensionForMimeType(mimeType = '') {
+    const container = mimeType.split(';')[0].trim().toLowerCase();
+    return EXTENSIONS_BY_MIME_TYPE[container] || 'webm'; // default
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Ids are generated by generateId; anything else (e.g. from a backup file) is not trusted
+function isSafeId(value) {
+    return typeof value === 'string' && /^[\w-]+$/.test(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Trims tags, drops empty ones and removes duplicates that differ only in case
+function normalizeTags(tags) {
+    const seen = new Set();
+    const result = [];
+    tags.forEach(tag => {
+        const cleaned = tag.trim().replace(/\s+/g, ' ');
+        const key = cleaned.toLowerCase();
+        if (cleaned && !seen.has(key)) {
+            seen.add(key);
+            result.push(cleaned);
+        }
+    });
+    return result;
+}
+
+// Small markdown renderer for recording notes: headings, bold, italic, inline and
+// fenced code, links, lists and quotes. The text is escaped first, so notes can't inject HTML.
+function renderMarkdown(text) {
+    const inline = (line) => line
+        .split(/(`[^`]+`)/)
+        .map((part, i) => {
+            if (i % 2 === 1) {
+                return `<code>${part.slice(1, -1)}</code>`;
+            }
+            return part
+                .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+                .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g,
+                    '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+        })
+        .join('');
+
+    const html = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            html.push(`</${list}>`);
+            list = null;
+        }
+    };
+    const openList = (tag) => {
+        if (list !== tag) {
+            closeList();
+            html.push(`<${tag}>`);
+            list = tag;
+        }
+    };
+
+    for (const line of escapeHtml(text).split('\n')) {
+        if (line.trim().startsWith('```')) {
+            if (code) {
+                html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+                code = null;
+            } else {
+                flushParagraph();
+                closeList();
+                code = [];
+            }
+            continue;
+        }
+        if (code) {
+            code.push(line);
+            continue;
+        }
+
+        let match;
+        if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+            flushParagraph();
+            closeList();
+            const level = match[1].length;
+            html.push(`<h${level}>${inline(match[2])}</h${level}>`);
+        } else if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+            flushParagraph();
+            openList('ul');
+            html.push(`<li>${inline(match[1])}</li>`);
+        } else if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+            flushParagraph();
+            openList('ol');
+            html.push(`<li>${inline(match[1])}</li>`);
+        } else if ((match = line.match(/^&gt;\s?(.*)$/))) {
+            flushParagraph();
+            closeList();
+            html.push(`<blockquote>${inline(match[1])}</blockquote>`);
+        } else if (line.trim() === '') {
+            flushParagraph();
+            closeList();
         } else {
-            document.body.classList.remove("dark-mode");
-            StorageManager.saveToLocalStorage("darkMode", "disabled");
+            closeList();
+            paragraph.push(line);
         }
     }
-}
-// Add this class before the RecordingLibrary class
-class AudioPlayer {
-    constructor() {
-        this.currentAudio = null;
-        this.currentRecordingId = null;
-        this.isPlaying = false;
-        this.progressInterval = null; // For smooth progress updates
-        
-        // Player elements
-        this.playerContainer = document.getElementById('audioPlayer');
-        this.playPauseBtn = document.getElementById('playPauseBtn');
-        this.seekBar = document.getElementById('seekBar');
-        this.currentTimeSpan = document.getElementById('currentTime');
-        this.durationSpan = document.getElementById('duration');
-        this.progressFill = document.getElementById('progressFill');
-        this.nowPlayingTitle = document.getElementById('nowPlayingTitle');
-        this.closeBtn = document.getElementById('closePlayer');
-        
-        this.setupEventListeners();
+    if (code) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
     }
-    
-    setupEventListeners() {
-        // Play/Pause button
-        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
-        
-        // Inside setupEventListeners()
-// Inside setupEventListeners()
-        this.seekBar.addEventListener('input', (e) => {
-            if (this.currentAudio) {
-                const percent = e.target.value;
-                
-                // Use actual duration if available, otherwise use fallback
-                const duration = (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) 
-                    ? this.currentAudio.duration 
-                    : this.recordingDurationFallback;
-                
-                if (duration > 0) {
-                    const time = (percent / 100) * duration;
-                    
-                    // Only set currentTime if the audio is loaded enough
-                    if (this.currentAudio.readyState >= 2) { // HAVE_CURRENT_DATA or better
-                        this.currentAudio.currentTime = time;
-                    } else {
-                        // Store the desired time and set it when ready
-                        this.pendingSeekTime = time;
-                        
-                        // Add a one-time listener to seek when ready
-                        this.currentAudio.addEventListener('canplay', () => {
-                            if (this.pendingSeekTime !== undefined) {
-                                this.currentAudio.currentTime = this.pendingSeekTime;
-                                this.pendingSeekTime = undefined;
-                            }
-                        }, { once: true });
-                    }
-                    
-                    // Update UI immediately regardless
-                    this.progressFill.style.width = percent + '%';
-                    this.currentTimeSpan.textContent = this.formatTime(time);
+    flushParagraph();
+    closeList();
+    return html.join('');
+}
+
+// SHA-256 of a blob's bytes as hex, used to recognize the same audio under different ids
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// ZipArchive Class: Writes uncompressed ZIP files (audio is already compressed) and reads
+// stored or deflated ones, using DecompressionStream for the latter
+class ZipArchive {
+    static crcTable = null;
+
+    static crc32(bytes, crc = 0) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
                 }
+                this.crcTable[n] = c >>> 0;
             }
-        });
-        
-        // Close button
-        this.closeBtn.addEventListener('click', () => this.stop());
-        
-        // Progress bar click
-        // Progress bar click
-        this.progressFill.parentElement.addEventListener('click', (e) => {
-            if (this.currentAudio) {
-                const rect = e.currentTarget.getBoundingClientRect();
-                const percent = (e.clientX - rect.left) / rect.width;
-                
-                // Use actual duration if available, otherwise use fallback
-                const duration = (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) 
-                    ? this.currentAudio.duration 
-                    : this.recordingDurationFallback;
-                
-                if (duration > 0) {
-                    const newTime = percent * duration;
-                    
-                    if (this.currentAudio.readyState >= 2) {
-                        this.currentAudio.currentTime = newTime;
-                    } else {
-                        this.pendingSeekTime = newTime;
-                        this.currentAudio.addEventListener('canplay', () => {
-                            if (this.pendingSeekTime !== undefined) {
-                                this.currentAudio.currentTime = this.pendingSeekTime;
-                                this.pendingSeekTime = undefined;
-                            }
-                        }, { once: true });
+        }
+        crc = crc ^ 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date and time, as stored in ZIP headers
+    static dosDateTime(timestamp) {
+        const date = new Date(timestamp);
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // files: [{ name, blob, lastModified }]. Resolves with the archive as a Blob.
+    static async create(files, onProgress) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (let i = 0; i < files.length; i++) {
+            const { name, blob, lastModified } = files[i];
+            const nameBytes = encoder.encode(name);
+            const crc = this.crc32(new Uint8Array(await blob.arrayBuffer()));
+            const { time, date } = this.dosDateTime(lastModified || Date.now());
+            if (offset + blob.size > 0xFFFFFFFF) {
+                throw new Error('The archive would be larger than 4 GB, which ZIP files without ZIP64 cannot hold');
+            }
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);      // version needed
+            local.setUint16(6, 0x0800, true);  // UTF-8 names
+            local.setUint16(8, 0, true);       // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, blob.size, true);
+            local.setUint32(22, blob.size, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local.buffer, nameBytes, blob);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);      // version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, blob.size, true);
+            entry.setUint32(24, blob.size, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry.buffer, nameBytes);
+
+            offset += 30 + nameBytes.length + blob.size;
+            if (onProgress) onProgress((i + 1) / files.length);
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+
+    // Resolves with a Map of entry name to { name, size, blob(type) }
+    static async read(file) {
+        const tailStart = Math.max(0, file.size - 65557);
+        const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('This file is not a ZIP archive');
+        }
+
+        const count = tail.getUint16(endOffset + 10, true);
+        const centralSize = tail.getUint32(endOffset + 12, true);
+        const centralOffset = tail.getUint32(endOffset + 16, true);
+        const central = new DataView(await file.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (central.getUint32(pos, true) !== 0x02014b50) {
+                throw new Error('The ZIP archive is damaged');
+            }
+            const method = central.getUint16(pos + 10, true);
+            const compressedSize = central.getUint32(pos + 20, true);
+            const size = central.getUint32(pos + 24, true);
+            const nameLength = central.getUint16(pos + 28, true);
+            const extraLength = central.getUint16(pos + 30, true);
+            const commentLength = central.getUint16(pos + 32, true);
+            const localOffset = central.getUint32(pos + 42, true);
+            const name = decoder.decode(new Uint8Array(central.buffer, pos + 46, nameLength));
+            pos += 46 + nameLength + extraLength + commentLength;
+
+            entries.set(name, {
+                name,
+                size,
+                blob: async (type = '') => {
+                    // The local header's name and extra field lengths can differ from the central directory's
+                    const local = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+                    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+                    const data = file.slice(dataStart, dataStart + compressedSize);
+                    if (method === 0) {
+                        return data.slice(0, data.size, type);
                     }
-                    
-                    // Update UI immediately
-                    this.seekBar.value = percent * 100;
-                    this.progressFill.style.width = (percent * 100) + '%';
-                    this.currentTimeSpan.textContent = this.formatTime(newTime);
+                    if (method === 8) {
+                        const inflated = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+                        return inflated.slice(0, inflated.size, type);
+                    }
+                    throw new Error(`${name} uses an unsupported compression method`);
                 }
-            }
-        });
+            });
+        }
+        return entries;
     }
-    
-    play(recording, recordingElement) {
-        // Stop current audio if playing
-        if (this.currentAudio) {
-            this.stop();
+}
+
+// Fills a marker list (<ul>) with one row per marker: its time, an editable label and
+// a delete button. onSeek is optional; without it the times aren't clickable.
+function renderMarkerList(list, markers, { onSeek, onLabel, onDelete }) {
+    list.innerHTML = '';
+    markers.forEach((marker, i) => {
+        const item = document.createElement('li');
+        const time = document.createElement(onSeek ? 'button' : 'span');
+        time.className = 'marker-time';
+        time.textContent = MarkerExport.formatClock(marker.time);
+        if (onSeek) {
+            time.title = 'Jump to this marker';
+            time.addEventListener('click', () => onSeek(marker));
         }
-        
-        // Remove playing class from all recordings
-        document.querySelectorAll('.recording-item').forEach(item => {
-            item.classList.remove('playing');
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'marker-label';
+        label.value = marker.label || '';
+        label.placeholder = `Marker ${i + 1}`;
+        label.addEventListener('change', () => onLabel(marker, label.value.trim()));
+        label.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') label.blur();
         });
-        
-        // Create new audio element
-        this.currentAudio = new Audio(recording.dataUrl);
-        this.currentRecordingId = recording.id;
-        
-        // Store the fallback duration immediately
-        this.recordingDurationFallback = recording.durationSeconds || 0;
-        
-        // Add playing class to current recording
-        if (recordingElement) {
-            recordingElement.classList.add('playing');
+
+        const remove = document.createElement('button');
+        remove.className = 'marker-delete';
+        remove.title = 'Remove marker';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => onDelete(marker));
+
+        item.append(time, label, remove);
+        list.appendChild(item);
+    });
+}
+
+// MarkerExport Class: Writes a recording's markers as a CUE sheet or WebVTT chapters.
+// Each marker starts a chapter that runs to the next one; audio before the first marker is "Start".
+class MarkerExport {
+    static chapters(recording) {
+        const markers = [...(recording.markers || [])].sort((a, b) => a.time - b.time);
+        const chapters = [];
+        if (markers.length === 0 || markers[0].time > 0) {
+            chapters.push({ time: 0, label: 'Start' });
         }
-        
-        // Set initial values using the stored duration
-        this.currentTimeSpan.textContent = '0:00';
-        this.durationSpan.textContent = this.formatTime(this.recordingDurationFallback);
-        this.seekBar.value = 0;
-        this.seekBar.max = 100; // Set max immediately
-        this.progressFill.style.width = '0%';
-        
-        // Enable seeking immediately
-        this.seekBar.disabled = false;
-        
-        // Setup audio event listeners
-        this.currentAudio.addEventListener('loadedmetadata', () => {
-            // Update with actual duration when available
-            const duration = this.currentAudio.duration;
-            if (isFinite(duration) && duration > 0) {
-                this.durationSpan.textContent = this.formatTime(duration);
-                // Update the fallback duration with the actual duration
-                this.recordingDurationFallback = duration;
-            }
+        markers.forEach((marker, i) => {
+            chapters.push({ time: marker.time, label: marker.label || `Marker ${i + 1}` });
         });
-        
-        // Add durationchange event listener
-        this.currentAudio.addEventListener('durationchange', () => {
-            if (this.currentAudio && this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
-                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
-                this.recordingDurationFallback = this.currentAudio.duration;
-            }
+        const duration = recording.durationSeconds || 0;
+        return chapters.map((chapter, i) => ({
+            ...chapter,
+            end: i + 1 < chapters.length ? chapters[i + 1].time : Math.max(duration, chapter.time)
+        }));
+    }
+
+    static toCue(recording) {
+        const extension = extensionForMimeType(recording.mimeType);
+        const quote = (text) => `"${text.replace(/"/g, "'")}"`;
+        const lines = [
+            `TITLE ${quote(recording.name)}`,
+            `FILE ${quote(`${recording.name}.${extension}`)} ${extension === 'mp3' ? 'MP3' : 'WAVE'}`
+        ];
+        this.chapters(recording).forEach((chapter, i) => {
+            lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+            lines.push(`    TITLE ${quote(chapter.label)}`);
+            lines.push(`    INDEX 01 ${this.cueTime(chapter.time)}`);
         });
-        
-        this.currentAudio.addEventListener('ended', () => {
-            this.stop();
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    static toWebVtt(recording) {
+        const cues = this.chapters(recording).map((chapter, i) =>
+            `${i + 1}\n${this.vttTime(chapter.time)} --> ${this.vttTime(chapter.end)}\n${chapter.label.replace(/-->/g, '->')}`);
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    // CUE sheets count in minutes, seconds and frames of 1/75 s
+    static cueTime(seconds) {
+        const frames = Math.round(seconds * 75);
+        const mins = Math.floor(frames / (75 * 60));
+        const secs = Math.floor(frames / 75) % 60;
+        const rest = frames % 75;
+        return [mins, secs, rest].map(n => String(n).padStart(2, '0')).join(':');
+    }
+
+    static vttTime(seconds) {
+        const millis = Math.round(seconds * 1000);
+        const hours = Math.floor(millis / 3600000);
+        const mins = Math.floor(millis / 60000) % 60;
+        const secs = Math.floor(millis / 1000) % 60;
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(hours)}:${pad(mins)}:${pad(secs)}.${pad(millis % 1000, 3)}`;
+    }
+
+    // m:ss.s for marker lists
+    static formatClock(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${mins}:${secs}`;
+    }
+
+    static download(recording, format) {
+        const text = format === 'cue' ? this.toCue(recording) : this.toWebVtt(recording);
+        const type = format === 'cue' ? 'application/x-cue' : 'text/vtt';
+        triggerDownload(new Blob([text], { type }), `${recording.name}.${format}`);
+    }
+}
+
+// AudioExporter Class: Converts recordings to WAV or MP3 in encoder-worker.js
+class AudioExporter {
+    static worker = null;
+    static jobs = new Map();
+    static nextJobId = 1;
+
+    static getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker('encoder-worker.js');
+            this.worker.onmessage = (e) => {
+                const { jobId, progress, blob, error } = e.data;
+                const job = this.jobs.get(jobId);
+                if (!job) return;
+
+                if (progress !== undefined) {
+                    if (job.onProgress) job.onProgress(progress);
+                    return;
+                }
+                this.jobs.delete(jobId);
+                if (error) {
+                    job.reject(new Error(error));
+                } else {
+                    job.resolve(blob);
+                }
+            };
+            this.worker.onerror = (e) => {
+                console.error('Encoder worker error:', e);
+                this.jobs.forEach(job => job.reject(new Error('The encoder stopped unexpectedly')));
+                this.jobs.clear();
+                this.worker = null;
+            };
+        }
+        return this.worker;
+    }
+
+    // options: { format: 'wav' | 'mp3', bitDepth, bitrate, channelCount }
+    static encode(audioBuffer, options, onProgress) {
+        let channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c).slice());
+        }
+
+        const channelCount = options.channelCount || channels.length;
+        if (channelCount === 1 && channels.length > 1) {
+            const mono = new Float32Array(channels[0].length);
+            channels.forEach(data => {
+                for (let i = 0; i < data.length; i++) {
+                    mono[i] += data[i] / channels.length;
+                }
+            });
+            channels = [mono];
+        } else if (channelCount === 2 && channels.length === 1) {
+            channels = [channels[0], channels[0].slice()];
+        }
+
+        const jobId = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(jobId, { resolve, reject, onProgress });
+            this.getWorker().postMessage({
+                jobId,
+                format: options.format,
+                bitDepth: options.bitDepth,
+                bitrate: options.bitrate,
+                sampleRate: audioBuffer.sampleRate,
+                channels
+            }, channels.map(data => data.buffer));
+        });
+    }
+}
+
+// Transcriber Class: Offline speech recognition in transcriber-worker.js, one recording at a time
+class Transcriber {
+    static SAMPLE_RATE = 16000; // Whisper models take 16 kHz mono
+    static MODEL_NAME = 'whisper-base';
+    static worker = null;
+    static jobs = new Map();
+    static nextJobId = 1;
+    static busy = false;
+
+    // Files the worker loads. The runtime is vendored in lib/transformers/; the model is
+    // added to models/ (see the README).
+    static REQUIRED_FILES = [
+        'lib/transformers/transformers.min.js',
+        `models/${Transcriber.MODEL_NAME}/config.json`,
+        `models/${Transcriber.MODEL_NAME}/onnx/encoder_model_quantized.onnx`,
+        `models/${Transcriber.MODEL_NAME}/onnx/decoder_model_merged_quantized.onnx`
+    ];
+    static installed = null;
+
+    // Resolves with whether every file the worker needs can be loaded, so a missing or
+    // broken install is reported up front instead of failing partway through a job
+    static isInstalled() {
+        if (!this.installed) {
+            this.installed = Promise.all(this.REQUIRED_FILES.map(file =>
+                fetch(file, { method: 'HEAD' }).then(response => response.ok, () => false)
+            )).then(results => results.every(Boolean));
+        }
+        return this.installed;
+    }
+
+    static getWorker() {
+        if (!this.worker) {
+            // A module worker, so it can import the transformers.js build
+            this.worker = new Worker('transcriber-worker.js', { type: 'module' });
+            this.worker.onmessage = (e) => {
+                const { jobId, status, segments, error } = e.data;
+                const job = this.jobs.get(jobId);
+                if (!job) return;
+
+                if (status !== undefined) {
+                    if (job.onStatus) job.onStatus(status);
+                    return;
+                }
+                this.jobs.delete(jobId);
+                if (error) {
+                    job.reject(new Error(error));
+                } else {
+                    job.resolve(segments);
+                }
+            };
+            this.worker.onerror = (e) => {
+                console.error('Transcriber worker error:', e);
+                this.jobs.forEach(job => job.reject(new Error('The transcriber stopped unexpectedly')));
+                this.jobs.clear();
+                this.worker = null;
+            };
+        }
+        return this.worker;
+    }
+
+    // Resolves with [{ start, end, text }], times in seconds
+    static async transcribe(blob, { language } = {}, onStatus) {
+        if (this.busy) {
+            throw new Error('Another recording is being transcribed');
+        }
+        this.busy = true;
+        try {
+            if (onStatus) onStatus('Decoding audio...');
+            const audioBuffer = await decodeAudioBlob(blob, this.SAMPLE_RATE);
+            const audio = new Float32Array(audioBuffer.length);
+            for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+                const data = audioBuffer.getChannelData(c);
+                for (let i = 0; i < data.length; i++) {
+                    audio[i] += data[i] / audioBuffer.numberOfChannels;
+                }
+            }
+
+            const jobId = this.nextJobId++;
+            return await new Promise((resolve, reject) => {
+                this.jobs.set(jobId, { resolve, reject, onStatus });
+                this.getWorker().postMessage({ jobId, audio, language }, [audio.buffer]);
+            });
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+// TranscriptExport Class: Writes a recording's transcript as plain text, SRT or WebVTT subtitles
+class TranscriptExport {
+    static toTxt(recording) {
+        return recording.transcript.segments.map(segment => segment.text).join('\n') + '\n';
+    }
+
+    static toSrt(recording) {
+        const srtTime = (seconds) => MarkerExport.vttTime(seconds).replace('.', ',');
+        return recording.transcript.segments.map((segment, i) =>
+            `${i + 1}\n${srtTime(segment.start)} --> ${srtTime(segment.end)}\n${segment.text}`).join('\n\n') + '\n';
+    }
+
+    static toVtt(recording) {
+        const cues = recording.transcript.segments.map(segment =>
+            `${MarkerExport.vttTime(segment.start)} --> ${MarkerExport.vttTime(segment.end)}\n${segment.text.replace(/-->/g, '->')}`);
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    static download(recording, format) {
+        const writers = {
+            txt: [this.toTxt, 'text/plain'],
+            srt: [this.toSrt, 'application/x-subrip'],
+            vtt: [this.toVtt, 'text/vtt']
+        };
+        const [write, type] = writers[format];
+        triggerDownload(new Blob([write.call(this, recording)], { type }), `${recording.name}.${format}`);
+    }
+}
+
+// ExportDialog Class: Asks for format, sample rate and channels before a download
+class ExportDialog {
+    static STORAGE_KEY = 'exportOptions';
+    static DEFAULT_OPTIONS = { format: 'wav16', bitrate: 128, sampleRate: 48000, channelCount: 1 };
+
+    constructor(library) {
+        this.library = library;
+        this.recording = null;
+        this.busy = false;
+
+        this.dialog = document.getElementById('exportDialog');
+        this.form = document.getElementById('exportForm');
+        this.nameSpan = document.getElementById('exportRecordingName');
+        this.formatSelect = document.getElementById('exportFormat');
+        this.bitrateSelect = document.getElementById('exportBitrate');
+        this.sampleRateSelect = document.getElementById('exportSampleRate');
+        this.channelsSelect = document.getElementById('exportChannels');
+        this.statusDiv = document.getElementById('exportStatus');
+        this.confirmBtn = document.getElementById('exportConfirm');
+
+        const saved = this.loadOptions();
+        this.formatSelect.value = saved.format;
+        this.bitrateSelect.value = String(saved.bitrate);
+        this.sampleRateSelect.value = String(saved.sampleRate);
+        this.channelsSelect.value = String(saved.channelCount);
+
+        this.formatSelect.addEventListener('change', () => this.updateVisibility());
+        document.getElementById('exportCancel').addEventListener('click', () => this.close());
+        this.dialog.addEventListener('cancel', (e) => {
+            if (this.busy) e.preventDefault();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.updateVisibility();
+    }
+
+    loadOptions() {
+        try {
+            const saved = JSON.parse(StorageManager.getFromLocalStorage(ExportDialog.STORAGE_KEY, '{}'));
+            return { ...ExportDialog.DEFAULT_OPTIONS, ...saved };
+        } catch (e) {
+            return { ...ExportDialog.DEFAULT_OPTIONS };
+        }
+    }
+
+    open(recording) {
+        this.recording = recording;
+        this.nameSpan.textContent = recording.name;
+        this.formatSelect.querySelector('option[value="original"]').textContent =
+            `Original (${RecordingFormat.labelFor(recording.mimeType)})`;
+        this.statusDiv.textContent = '';
+        this.dialog.showModal();
+    }
+
+    close() {
+        if (this.busy) return;
+        this.dialog.close();
+        this.recording = null;
+    }
+
+    updateVisibility() {
+        const format = this.formatSelect.value;
+        document.getElementById('exportBitrateRow').style.display = format === 'mp3' ? '' : 'none';
+        const reencoding = format !== 'original';
+        document.getElementById('exportSampleRateRow').style.display = reencoding ? '' : 'none';
+        document.getElementById('exportChannelsRow').style.display = reencoding ? '' : 'none';
+    }
+
+    getOptions() {
+        const choice = this.formatSelect.value;
+        return {
+            choice,
+            format: choice.startsWith('wav') ? 'wav' : choice,
+            bitDepth: choice === 'wav24' ? 24 : 16,
+            bitrate: parseInt(this.bitrateSelect.value, 10),
+            sampleRate: parseInt(this.sampleRateSelect.value, 10),
+            channelCount: parseInt(this.channelsSelect.value, 10)
+        };
+    }
+
+    async submit() {
+        if (!this.recording || this.busy) return;
+        const options = this.getOptions();
+        StorageManager.saveToLocalStorage(ExportDialog.STORAGE_KEY, JSON.stringify({
+            format: options.choice,
+            bitrate: options.bitrate,
+            sampleRate: options.sampleRate,
+            channelCount: options.channelCount
+        }));
+
+        this.busy = true;
+        this.confirmBtn.disabled = true;
+        this.statusDiv.textContent = options.format === 'original' ? 'Preparing download...' : 'Decoding...';
+
+        try {
+            await this.library.exportRecording(this.recording, options, (progress) => {
+                this.statusDiv.textContent = `Encoding... ${Math.round(progress * 100)}%`;
+            });
+            this.busy = false;
+            this.close();
+        } catch (e) {
+            console.error('Export failed:', e);
+            this.statusDiv.textContent = `Export failed: ${e.message}`;
+        } finally {
+            this.busy = false;
+            this.confirmBtn.disabled = false;
+        }
+    }
+}
+
+// RecordingStore Class: Keeps recordings in IndexedDB, audio blobs and metadata in separate object stores
+class RecordingStore {
+    static DB_NAME = 'voiceRecorder';
+    static DB_VERSION = 3;
+    static dbPromise = null;
+
+    static open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('recordings')) {
+                        const metadata = db.createObjectStore('recordings', { keyPath: 'id' });
+                        metadata.createIndex('type', 'type');
+                        metadata.createIndex('timestamp', 'timestamp');
+                    }
+                    if (!db.objectStoreNames.contains('blobs')) {
+                        db.createObjectStore('blobs');
+                    }
+                    // Autosaved chunks of takes that are still being recorded
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('chunks')) {
+                        db.createObjectStore('chunks', { keyPath: ['sessionId', 'index'] });
+                    }
+                    if (!db.objectStoreNames.contains('folders')) {
+                        db.createObjectStore('folders', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version in another tab upgrade the schema
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            // Ask the browser not to evict our data under storage pressure
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+        }
+        return this.dbPromise;
+    }
+
+    // Runs callback inside a transaction and resolves with the result of the
+    // request it returns once the transaction has committed
+    static async run(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = callback(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+
+    static getAllMetadata() {
+        return this.run('recordings', 'readonly', tx => tx.objectStore('recordings').getAll());
+    }
+
+    static getBlob(id) {
+        return this.run('blobs', 'readonly', tx => tx.objectStore('blobs').get(id));
+    }
+
+    static saveRecording(metadata, blob) {
+        return this.run(['recordings', 'blobs'], 'readwrite', tx => {
+            tx.objectStore('blobs').put(blob, metadata.id);
+            tx.objectStore('recordings').put(metadata);
+        });
+    }
+
+    static saveMetadata(recordings) {
+        return this.run('recordings', 'readwrite', tx => {
+            const store = tx.objectStore('recordings');
+            recordings.forEach(rec => store.put(rec));
+        });
+    }
+
+    static deleteRecording(id) {
+        return this.run(['recordings', 'blobs'], 'readwrite', tx => {
+            tx.objectStore('recordings').delete(id);
+            tx.objectStore('blobs').delete(id);
+        });
+    }
+
+    static getFolders() {
+        return this.run('folders', 'readonly', tx => tx.objectStore('folders').getAll());
+    }
+
+    static saveFolders(folders) {
+        return this.run('folders', 'readwrite', tx => {
+            const store = tx.objectStore('folders');
+            folders.forEach(folder => store.put(folder));
+        });
+    }
+
+    static deleteFolder(id) {
+        return this.run('folders', 'readwrite', tx => {
+            tx.objectStore('folders').delete(id);
+        });
+    }
+
+    static getSessions() {
+        return this.run('sessions', 'readonly', tx => tx.objectStore('sessions').getAll());
+    }
+
+    static saveSession(session) {
+        return this.run('sessions', 'readwrite', tx => {
+            tx.objectStore('sessions').put(session);
+        });
+    }
+
+    // Writes one autosaved chunk together with the updated session record
+    static saveChunk(session, index, blob) {
+        return this.run(['sessions', 'chunks'], 'readwrite', tx => {
+            tx.objectStore('chunks').put({ sessionId: session.id, index, blob });
+            tx.objectStore('sessions').put(session);
+        });
+    }
+
+    static sessionChunkRange(sessionId) {
+        return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+    }
+
+    static async getSessionChunks(sessionId) {
+        const chunks = await this.run('chunks', 'readonly', tx =>
+            tx.objectStore('chunks').getAll(this.sessionChunkRange(sessionId)));
+        return chunks.map(chunk => chunk.blob);
+    }
+
+    static deleteSession(sessionId) {
+        return this.run(['sessions', 'chunks'], 'readwrite', tx => {
+            tx.objectStore('sessions').delete(sessionId);
+            tx.objectStore('chunks').delete(this.sessionChunkRange(sessionId));
+        });
+    }
+
+    static isQuotaError(error) {
+        return !!error && error.name === 'QuotaExceededError';
+    }
+
+    // Moves recordings saved by older versions (JSON arrays of data URLs in
+    // localStorage) into IndexedDB. A key is only removed once every entry in
+    // it has been written, so a failed migration is retried on the next load.
+    static async migrateFromLocalStorage() {
+        const legacyKeys = { rawRecordings: 'raw', aiImprovedRecordings: 'improved' };
+
+        for (const [storageKey, type] of Object.entries(legacyKeys)) {
+            const saved = StorageManager.getFromLocalStorage(storageKey);
+            if (!saved) continue;
+
+            let legacyRecordings;
+            try {
+                legacyRecordings = JSON.parse(saved);
+            } catch (e) {
+                console.error(`Failed to parse ${storageKey} from localStorage:`, e);
+                continue;
+            }
+
+            for (const rec of legacyRecordings) {
+                if (!rec.dataUrl) continue;
+                const { dataUrl, ...metadata } = rec;
+                const blob = dataUrlToBlob(dataUrl);
+                metadata.type = type;
+                metadata.mimeType = blob.type;
+                metadata.size = blob.size;
+                await this.saveRecording(metadata, blob);
+            }
+
+            StorageManager.removeFromLocalStorage(storageKey);
+        }
+    }
+}
+
+// AudioImporter Class: Adds audio files from disk (file picker or drag-and-drop onto the
+// library) as raw recordings, keeping the file name and modification date
+class AudioImporter {
+    // Browsers report some of these types inconsistently (or not at all), so go by extension
+    static MIME_TYPES_BY_EXTENSION = {
+        wav: 'audio/wav',
+        mp3: 'audio/mpeg',
+        ogg: 'audio/ogg',
+        oga: 'audio/ogg',
+        opus: 'audio/ogg',
+        webm: 'audio/webm',
+        m4a: 'audio/mp4',
+        mp4: 'audio/mp4',
+        aac: 'audio/mp4',
+        flac: 'audio/flac'
+    };
+
+    constructor(library) {
+        this.library = library;
+        this.busy = false;
+        this.button = document.getElementById('importAudioBtn');
+        this.fileInput = document.getElementById('importAudioFile');
+        this.status = document.getElementById('importStatus');
+        this.dropZone = document.getElementById('rawRecordingsSection');
+
+        this.button.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const files = Array.from(this.fileInput.files);
+            this.fileInput.value = '';
+            this.importFiles(files);
+        });
+
+        // Only react to files from outside the page, not recordings dragged onto folders
+        const hasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+        this.dropZone.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.dropZone.classList.add('file-drop');
+        });
+        this.dropZone.addEventListener('dragleave', (e) => {
+            if (!this.dropZone.contains(e.relatedTarget)) {
+                this.dropZone.classList.remove('file-drop');
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dropZone.classList.remove('file-drop');
+            this.importFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    static mimeTypeFor(file) {
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        return this.MIME_TYPES_BY_EXTENSION[extension] || null;
+    }
+
+    async importFiles(files) {
+        if (files.length === 0) return;
+        if (this.busy) {
+            alert('Please wait until the current import has finished.');
+            return;
+        }
+        this.busy = true;
+        this.button.disabled = true;
+        const errors = [];
+        let imported = 0;
+
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            this.status.textContent = `Importing ${i + 1} of ${files.length}: ${file.name}`;
+            try {
+                await this.importFile(file);
+                imported++;
+            } catch (e) {
+                console.error(`Failed to import ${file.name}:`, e);
+                errors.push(`${file.name}: ${e.message}`);
+            }
+        }
+
+        this.status.textContent = '';
+        this.busy = false;
+        this.button.disabled = false;
+        if (errors.length > 0) {
+            const heading = imported > 0
+                ? `${imported} file${imported === 1 ? ' was' : 's were'} imported, but some could not be:`
+                : `The file${errors.length === 1 ? '' : 's'} could not be imported:`;
+            alert(`${heading}\n\n${errors.join('\n')}`);
+        }
+    }
+
+    // The file name without its extension. It comes from outside the app, so control characters
+    // are dropped here and it is escaped wherever it is rendered as HTML.
+    static nameFor(file) {
+        const name = file.name.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim();
+        return name.replace(/\.[^.]+$/, '') || name || 'Imported recording';
+    }
+
+    async importFile(file) {
+        const mimeType = AudioImporter.mimeTypeFor(file);
+        if (!mimeType) {
+            throw new Error('Not a supported audio file. Use WAV, MP3, OGG, WebM, M4A or FLAC.');
+        }
+        if (file.size === 0) {
+            throw new Error('The file is empty.');
+        }
+
+        // Stored with a definite type so playback and export pick the right container
+        const blob = file.slice(0, file.size, mimeType);
+        let audioBuffer;
+        try {
+            audioBuffer = await decodeAudioBlob(blob);
+        } catch (e) {
+            throw new Error('The file is damaged, or its codec is not supported by this browser.');
+        }
+        if (audioBuffer.length === 0) {
+            throw new Error('The file contains no audio.');
+        }
+
+        const recording = await this.library.addRecording(blob, audioBuffer.duration, 'raw', {
+            name: AudioImporter.nameFor(file),
+            timestamp: file.lastModified || Date.now(),
+            peaks: resamplePeaks(computePeaks(audioBuffer, PEAK_COUNT)),
+            importedFrom: file.name
+        });
+        // An older file date puts it further down the list than a new recording
+        this.library.sortRecordings();
+        this.library.renderRawRecordings();
+        return recording;
+    }
+}
+
+// LibraryBackup Class: Exports the whole library as one ZIP (the audio files plus a JSON
+// manifest of all metadata and folders) and merges such archives back into the library
+class LibraryBackup {
+    static FORMAT = 'voice-recorder-library';
+    static VERSION = 1;
+    static MANIFEST_NAME = 'manifest.json';
+
+    static async exportLibrary(library, onStatus) {
+        const recordings = library.allRecordings();
+        const files = [];
+        const entries = [];
+        const hashed = [];
+
+        for (let i = 0; i < recordings.length; i++) {
+            const recording = recordings[i];
+            onStatus(`Collecting recordings... ${i + 1}/${recordings.length}`);
+            const blob = await library.getBlob(recording);
+            if (!blob) {
+                console.warn(`Skipping "${recording.name}" in the backup: its audio is missing`);
+                continue;
+            }
+            if (!recording.contentHash) {
+                recording.contentHash = await hashBlob(blob);
+                hashed.push(recording);
+            }
+
+            const { unsaved, ...metadata } = recording;
+            const file = `audio/${recording.id}.${extensionForMimeType(recording.mimeType || blob.type)}`;
+            entries.push({ ...metadata, file });
+            files.push({ name: file, blob, lastModified: recording.timestamp });
+        }
+        if (hashed.length > 0) {
+            await library.persistMetadata(hashed);
+        }
+
+        const manifest = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: Date.now(),
+            folders: library.folders,
+            recordings: entries
+        };
+        files.unshift({
+            name: this.MANIFEST_NAME,
+            blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }),
+            lastModified: manifest.exportedAt
+        });
+
+        const archive = await ZipArchive.create(files, (progress) => {
+            onStatus(`Writing archive... ${Math.round(progress * 100)}%`);
+        });
+        const date = new Date().toISOString().slice(0, 10);
+        triggerDownload(archive, `voice-recorder-library-${date}.zip`);
+        return entries.length;
+    }
+
+    static async readManifest(archive) {
+        const entry = archive.get(this.MANIFEST_NAME);
+        if (!entry) {
+            throw new Error('This file is not a library backup (it has no manifest.json)');
+        }
+        let manifest;
+        try {
+            manifest = JSON.parse(await (await entry.blob()).text());
+        } catch (e) {
+            throw new Error('The backup manifest is damaged');
+        }
+        if (manifest.format !== this.FORMAT || !Array.isArray(manifest.recordings)) {
+            throw new Error('This file is not a library backup');
+        }
+        if (manifest.version > this.VERSION) {
+            throw new Error('This backup was made by a newer version of the recorder');
+        }
+        return manifest;
+    }
+
+    // Rebuilds a manifest entry from the fields a recording can have, checking each one,
+    // since a backup file can contain anything. Malformed optional fields are dropped.
+    static sanitizeEntry(entry, library) {
+        const string = value => typeof value === 'string' ? value : undefined;
+        const number = value => isFiniteNumber(value) ? value : undefined;
+        const id = value => isSafeId(value) ? value : undefined;
+
+        const durationSeconds = isFiniteNumber(entry.durationSeconds) && entry.durationSeconds >= 0 ? entry.durationSeconds : 0;
+        const metadata = {
+            id: id(entry.id) || generateId('rec'),
+            type: entry.type === 'improved' ? 'improved' : 'raw',
+            name: string(entry.name) || 'Imported recording',
+            duration: library.formatTime(durationSeconds),
+            durationSeconds,
+            timestamp: number(entry.timestamp) || Date.now(),
+            mimeType: string(entry.mimeType),
+            audioBitsPerSecond: number(entry.audioBitsPerSecond),
+            notes: string(entry.notes),
+            folderId: id(entry.folderId),
+            originalId: id(entry.originalId),
+            versionOf: id(entry.versionOf),
+            improvedAt: number(entry.improvedAt),
+            clippedSamples: number(entry.clippedSamples),
+            importedFrom: string(entry.importedFrom),
+            recovered: entry.recovered === true ? true : undefined
+        };
+        if (Array.isArray(entry.tags)) {
+            metadata.tags = normalizeTags(entry.tags.filter(tag => typeof tag === 'string'));
+        }
+        if (Array.isArray(entry.peaks) && entry.peaks.every(isFiniteNumber)) {
+            metadata.peaks = entry.peaks.map(peak => Math.max(0, Math.min(1, peak)));
+        }
+        if (Array.isArray(entry.markers)) {
+            const markers = entry.markers
+                .filter(marker => marker && isFiniteNumber(marker.time) && marker.time >= 0)
+                .map(marker => ({ id: id(marker.id) || generateId('marker'), time: marker.time, label: string(marker.label) || '' }));
+            if (markers.length > 0) metadata.markers = markers;
+        }
+        const transcript = entry.transcript;
+        if (transcript && Array.isArray(transcript.segments) && transcript.segments.every(segment =>
+            segment && isFiniteNumber(segment.start) && isFiniteNumber(segment.end) && typeof segment.text === 'string')) {
+            metadata.transcript = {
+                segments: transcript.segments.map(({ start, end, text }) => ({ start, end, text })),
+                language: string(transcript.language) || '',
+                model: string(transcript.model),
+                createdAt: number(transcript.createdAt)
+            };
+        }
+        if (Array.isArray(entry.mergedFrom)) {
+            metadata.mergedFrom = entry.mergedFrom
+                .filter(source => source && typeof source.name === 'string')
+                .map(source => ({ id: id(source.id), name: source.name }));
+        }
+        if (Array.isArray(entry.edits)) {
+            metadata.edits = entry.edits
+                .filter(edit => edit && ['trim', 'cut', 'fadeIn', 'fadeOut'].includes(edit.type) && isFiniteNumber(edit.start) && isFiniteNumber(edit.end))
+                .map(({ type, start, end }) => ({ type, start, end }));
+        }
+        Object.keys(metadata).forEach(key => {
+            if (metadata[key] === undefined) delete metadata[key];
+        });
+        return metadata;
+    }
+
+    // Recordings already in the library, by id or by identical audio, are skipped.
+    // Resolves with { imported, duplicates, missing }.
+    static async importLibrary(library, file, onStatus) {
+        onStatus('Reading archive...');
+        const archive = await ZipArchive.read(file);
+        const manifest = await this.readManifest(archive);
+
+        const existing = library.allRecordings();
+        // A recording in the trash is still in the library until it is purged
+        const ids = new Set([...existing, ...library.trash].map(rec => rec.id));
+        const hashes = new Set();
+        const hashed = [];
+        for (let i = 0; i < existing.length; i++) {
+            const recording = existing[i];
+            onStatus(`Checking for duplicates... ${i + 1}/${existing.length}`);
+            if (!recording.contentHash) {
+                const blob = await library.getBlob(recording);
+                if (!blob) continue;
+                recording.contentHash = await hashBlob(blob);
+                hashed.push(recording);
+            }
+            hashes.add(recording.contentHash);
+        }
+        if (hashed.length > 0) {
+            await library.persistMetadata(hashed);
+        }
+
+        const folders = (Array.isArray(manifest.folders) ? manifest.folders : [])
+            .filter(folder => folder && isSafeId(folder.id) && !library.getFolder(folder.id))
+            .map(folder => ({
+                id: folder.id,
+                name: typeof folder.name === 'string' && folder.name ? folder.name : 'Folder',
+                parentId: isSafeId(folder.parentId) ? folder.parentId : null,
+                createdAt: isFiniteNumber(folder.createdAt) ? folder.createdAt : Date.now()
+            }));
+        if (folders.length > 0) {
+            await RecordingStore.saveFolders(folders);
+            library.folders.push(...folders);
+        }
+
+        const result = { imported: 0, duplicates: 0, missing: 0 };
+        try {
+            for (let i = 0; i < manifest.recordings.length; i++) {
+                const entry = manifest.recordings[i];
+                onStatus(`Importing recordings... ${i + 1}/${manifest.recordings.length}`);
+                if (!entry || typeof entry !== 'object') {
+                    result.missing++;
+                    continue;
+                }
+                if (isSafeId(entry.id) && ids.has(entry.id)) {
+                    result.duplicates++;
+                    continue;
+                }
+                const zipEntry = typeof entry.file === 'string' && archive.get(entry.file);
+                if (!zipEntry) {
+                    result.missing++;
+                    continue;
+                }
+                const metadata = this.sanitizeEntry(entry, library);
+                const blob = await zipEntry.blob(metadata.mimeType || '');
+                const contentHash = await hashBlob(blob);
+                if (hashes.has(contentHash)) {
+                    result.duplicates++;
+                    continue;
+                }
+
+                metadata.size = blob.size;
+                metadata.contentHash = contentHash;
+                await library.importRecording(metadata, blob);
+                ids.add(metadata.id);
+                hashes.add(contentHash);
+                result.imported++;
+            }
+        } finally {
+            library.sortRecordings();
+            library.renderAll();
+        }
+        return result;
+    }
+}
+
+// Toast Class: A short message at the bottom of the page, optionally with one action such as Undo
+class Toast {
+    static DURATION_MS = 8000;
+    static timeout = null;
+
+    static show(message, { actionLabel = '', onAction = null } = {}) {
+        const toast = document.getElementById('toast');
+        toast.querySelector('.toast-message').textContent = message;
+        const action = toast.querySelector('.toast-action');
+        action.textContent = actionLabel;
+        action.style.display = onAction ? '' : 'none';
+        action.onclick = onAction ? () => {
+            this.hide();
+            onAction();
+        } : null;
+        toast.style.display = 'flex';
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => this.hide(), this.DURATION_MS);
+    }
+
+    static hide() {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+        document.getElementById('toast').style.display = 'none';
+    }
+}
+
+// DarkModeManager Class: Handles dark mode toggle
+class DarkModeManager {
+    constructor(toggleSelector) {
+        this.toggle = document.querySelector(toggleSelector);
+        const savedMode = StorageManager.getFromLocalStorage("darkMode");
+        if (savedMode === "enabled") {
+            document.body.classList.add("dark-mode");
+            this.toggle.checked = true;
+        } else if (savedMode === "disabled") {
+            document.body.classList.remove("dark-mode");
+            this.toggle.checked = false;
+        }
+
+        this.toggle.addEventListener("change", () => this.toggleDarkMode());
+    }
+
+    toggleDarkMode() {
+        if (this.toggle.checked) {
+            document.body.classList.add("dark-mode");
+            StorageManager.saveToLocalStorage("darkMode", "enabled");
+        } else {
+            document.body.classList.remove("dark-mode");
+            StorageManager.saveToLocalStorage("darkMode", "disabled");
+        }
+    }
+}
+
+// PlaybackPositions Class: Where playback of each recording was left off, so it resumes
+// there next time. Only the most recently played recordings are kept.
+class PlaybackPositions {
+    static STORAGE_KEY = 'playbackPositions';
+    static MAX_ENTRIES = 200;
+
+    static load() {
+        try {
+            return JSON.parse(StorageManager.getFromLocalStorage(this.STORAGE_KEY, '{}'));
+        } catch (e) {
+            console.error('Failed to parse playback positions:', e);
+            return {};
+        }
+    }
+
+    static get(id) {
+        const entry = this.load()[id];
+        return entry ? entry.time : 0;
+    }
+
+    static set(id, time) {
+        const positions = this.load();
+        positions[id] = { time, savedAt: Date.now() };
+        const ids = Object.keys(positions);
+        if (ids.length > this.MAX_ENTRIES) {
+            ids.sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+                .slice(0, ids.length - this.MAX_ENTRIES)
+                .forEach(oldId => delete positions[oldId]);
+        }
+        StorageManager.saveToLocalStorage(this.STORAGE_KEY, JSON.stringify(positions));
+    }
+
+    static clear(id) {
+        const positions = this.load();
+        if (!(id in positions)) return;
+        delete positions[id];
+        StorageManager.saveToLocalStorage(this.STORAGE_KEY, JSON.stringify(positions));
+    }
+}
+
+// PlaybackQueue Class: The recordings the player works through, by id. The play order is
+// the queue order, or a shuffled copy of it; repeat can loop the queue or one recording.
+class PlaybackQueue {
+    static REPEAT_MODES = ['off', 'all', 'one'];
+
+    constructor() {
+        this.ids = [];
+        this.order = []; // Indexes into ids, in play order
+        this.position = -1; // Index into order
+    }
+
+    get shuffle() {
+        return AppSettings.get('queueShuffle');
+    }
+
+    get repeat() {
+        return AppSettings.get('queueRepeat');
+    }
+
+    get length() {
+        return this.ids.length;
+    }
+
+    set(ids, startIndex = 0) {
+        this.ids = ids.slice();
+        this.buildOrder(ids.length > 0 ? startIndex : -1);
+    }
+
+    clear() {
+        this.set([]);
+    }
+
+    current() {
+        return this.position >= 0 ? this.ids[this.order[this.position]] : null;
+    }
+
+    // The queue in play order
+    playOrder() {
+        return this.order.map(index => this.ids[index]);
+    }
+
+    // Starts the play order at the given queue index; shuffling only reorders what comes after it
+    buildOrder(startIndex) {
+        const indexes = this.ids.map((id, i) => i);
+        if (startIndex < 0) {
+            this.order = indexes;
+            this.position = -1;
+            return;
+        }
+        if (this.shuffle) {
+            const rest = indexes.filter(i => i !== startIndex);
+            for (let i = rest.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [rest[i], rest[j]] = [rest[j], rest[i]];
+            }
+            this.order = [startIndex, ...rest];
+            this.position = 0;
+        } else {
+            this.order = indexes;
+            this.position = startIndex;
+        }
+    }
+
+    // The id to play after the current one, or null at the end of the queue. Auto-advance
+    // (a recording ended) honours "repeat one"; the next button always moves on.
+    next({ auto = false } = {}) {
+        if (this.position < 0) return null;
+        if (auto && this.repeat === 'one') return this.current();
+        if (this.position + 1 < this.order.length) {
+            this.position++;
+        } else if (this.repeat !== 'off') {
+            // Going round again reshuffles
+            this.buildOrder(this.shuffle ? this.order[Math.floor(Math.random() * this.order.length)] : 0);
+        } else {
+            return null;
+        }
+        return this.current();
+    }
+
+    previous() {
+        if (this.position < 0) return null;
+        if (this.position > 0) {
+            this.position--;
+        } else if (this.repeat !== 'off') {
+            this.position = this.order.length - 1;
+        } else {
+            return null;
+        }
+        return this.current();
+    }
+
+    jumpTo(id) {
+        const position = this.order.findIndex(index => this.ids[index] === id);
+        if (position >= 0) {
+            this.position = position;
+        }
+        return position >= 0 ? id : null;
+    }
+
+    setShuffle(shuffle) {
+        AppSettings.update({ queueShuffle: shuffle });
+        this.buildOrder(this.position >= 0 ? this.order[this.position] : -1);
+    }
+
+    cycleRepeat() {
+        const modes = PlaybackQueue.REPEAT_MODES;
+        AppSettings.update({ queueRepeat: modes[(modes.indexOf(this.repeat) + 1) % modes.length] });
+    }
+}
+
+// Add this class before the RecordingLibrary class
+class AudioPlayer {
+    static PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+    // How often the position is remembered while playing, in seconds of playback
+    static POSITION_SAVE_INTERVAL = 5;
+
+    constructor() {
+        this.currentAudio = null;
+        this.currentRecordingId = null;
+        this.isPlaying = false;
+        this.progressInterval = null; // For smooth progress updates
+        
+        // Player elements
+        this.playerContainer = document.getElementById('audioPlayer');
+        this.playPauseBtn = document.getElementById('playPauseBtn');
+        this.seekBar = document.getElementById('seekBar');
+        this.currentTimeSpan = document.getElementById('currentTime');
+        this.durationSpan = document.getElementById('duration');
+        this.progressFill = document.getElementById('progressFill');
+        this.waveformCanvas = document.getElementById('playerWaveform');
+        this.nowPlayingTitle = document.getElementById('nowPlayingTitle');
+        this.closeBtn = document.getElementById('closePlayer');
+        this.markersLayer = document.getElementById('playerMarkers');
+        this.markerPanel = document.getElementById('playerMarkerPanel');
+        this.markerList = document.getElementById('playerMarkerList');
+        this.rateSelect = document.getElementById('playbackRate');
+        this.skipBackBtn = document.getElementById('skipBackBtn');
+        this.skipForwardBtn = document.getElementById('skipForwardBtn');
+        this.loopRegion = document.getElementById('playerLoop');
+        this.loopRange = document.getElementById('loopRange');
+        this.recording = null;
+        // A-B loop; either end is null until it is set
+        this.loop = { start: null, end: null };
+        this.lastSavedPosition = 0;
+        this.queue = new PlaybackQueue();
+        this.queueList = document.getElementById('playerQueueList');
+        this.queueStatus = document.getElementById('queueStatus');
+        this.queuePrevBtn = document.getElementById('queuePrevBtn');
+        this.queueNextBtn = document.getElementById('queueNextBtn');
+        this.queueShuffleBtn = document.getElementById('queueShuffleBtn');
+        this.queueRepeatBtn = document.getElementById('queueRepeatBtn');
+        this.transcriptPanel = new TranscriptPanel(this);
+        
+        this.setupEventListeners();
+        this.setupMediaSession();
+        this.rateSelect.value = String(AppSettings.get('playbackRate'));
+        this.updateSkipLabels();
+    }
+    
+    setupEventListeners() {
+        // Play/Pause button
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
+        
+        // Inside setupEventListeners()
+// Inside setupEventListeners()
+        this.seekBar.addEventListener('input', (e) => {
+            if (this.currentAudio) {
+                const percent = e.target.value;
+                
+                // Use actual duration if available, otherwise use fallback
+                const duration = (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) 
+                    ? this.currentAudio.duration 
+                    : this.recordingDurationFallback;
+                
+                if (duration > 0) {
+                    const time = (percent / 100) * duration;
+                    
+                    // Only set currentTime if the audio is loaded enough
+                    if (this.currentAudio.readyState >= 2) { // HAVE_CURRENT_DATA or better
+                        this.currentAudio.currentTime = time;
+                    } else {
+                        // Store the desired time and set it when ready
+                        this.pendingSeekTime = time;
+                        
+                        // Add a one-time listener to seek when ready
+                        this.currentAudio.addEventListener('canplay', () => {
+                            if (this.pendingSeekTime !== undefined) {
+                                this.currentAudio.currentTime = this.pendingSeekTime;
+                                this.pendingSeekTime = undefined;
+                            }
+                        }, { once: true });
+                    }
+                    
+                    // Update UI immediately regardless
+                    this.progressFill.style.width = percent + '%';
+                    this.currentTimeSpan.textContent = this.formatTime(time);
+                }
+            }
+        });
+        
+        // Close button
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Queue
+        this.queuePrevBtn.addEventListener('click', () => this.previous());
+        this.queueNextBtn.addEventListener('click', () => this.next());
+        this.queueShuffleBtn.addEventListener('click', () => {
+            this.queue.setShuffle(!this.queue.shuffle);
+            this.renderQueue();
+        });
+        this.queueRepeatBtn.addEventListener('click', () => {
+            this.queue.cycleRepeat();
+            this.renderQueue();
+        });
+        this.queueList.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-id]');
+            if (item && this.queue.jumpTo(item.dataset.id)) {
+                this.playQueueItem(item.dataset.id);
+            }
+        });
+
+        // Speed, skipping and the A-B loop
+        this.rateSelect.addEventListener('change', () => this.setPlaybackRate(parseFloat(this.rateSelect.value)));
+        this.skipBackBtn.addEventListener('click', () => this.skip(-1));
+        this.skipForwardBtn.addEventListener('click', () => this.skip(1));
+        document.getElementById('loopStartBtn').addEventListener('click', () => this.setLoopPoint('start'));
+        document.getElementById('loopEndBtn').addEventListener('click', () => this.setLoopPoint('end'));
+        document.getElementById('loopClearBtn').addEventListener('click', () => this.clearLoop());
+
+        // Markers
+        document.getElementById('addMarkerBtn').addEventListener('click', () => this.addMarker());
+        document.getElementById('exportCueBtn').addEventListener('click', () => {
+            if (this.recording) MarkerExport.download(this.recording, 'cue');
+        });
+        document.getElementById('exportVttBtn').addEventListener('click', () => {
+            if (this.recording) MarkerExport.download(this.recording, 'vtt');
+        });
+        this.markersLayer.addEventListener('click', (e) => {
+            const flag = e.target.closest('.player-marker');
+            if (!flag) return;
+            // Don't let the progress bar seek to the click position instead
+            e.stopPropagation();
+            this.seekTo(parseFloat(flag.dataset.time));
+        });
+        
+        // Progress bar click
+        // Progress bar click
+        this.progressFill.parentElement.addEventListener('click', (e) => {
+            if (this.currentAudio) {
+                const rect = e.currentTarget.getBoundingClientRect();
+                const percent = (e.clientX - rect.left) / rect.width;
+                
+                // Use actual duration if available, otherwise use fallback
+                const duration = (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) 
+                    ? this.currentAudio.duration 
+                    : this.recordingDurationFallback;
+                
+                if (duration > 0) {
+                    const newTime = percent * duration;
+                    
+                    if (this.currentAudio.readyState >= 2) {
+                        this.currentAudio.currentTime = newTime;
+                    } else {
+                        this.pendingSeekTime = newTime;
+                        this.currentAudio.addEventListener('canplay', () => {
+                            if (this.pendingSeekTime !== undefined) {
+                                this.currentAudio.currentTime = this.pendingSeekTime;
+                                this.pendingSeekTime = undefined;
+                            }
+                        }, { once: true });
+                    }
+                    
+                    // Update UI immediately
+                    this.seekBar.value = percent * 100;
+                    this.progressFill.style.width = (percent * 100) + '%';
+                    this.currentTimeSpan.textContent = this.formatTime(newTime);
+                }
+            }
+        });
+    }
+    
+    play(recording, recordingElement, blob) {
+        // Stop current audio if playing
+        if (this.currentAudio) {
+            this.stop();
+        }
+
+        // Remove playing class from all recordings
+        document.querySelectorAll('.recording-item').forEach(item => {
+            item.classList.remove('playing');
+        });
+
+        // Anything played from outside the queue (e.g. an editor preview) replaces it
+        if (this.queue.current() !== recording.id) {
+            this.queue.clear();
+        }
+
+        // Create new audio element
+        this.objectUrl = URL.createObjectURL(blob);
+        this.currentAudio = new Audio(this.objectUrl);
+        // Keep voices natural when sped up or slowed down
+        this.currentAudio.preservesPitch = true;
+        this.currentAudio.playbackRate = AppSettings.get('playbackRate');
+        this.currentRecordingId = recording.id;
+        this.recording = recording;
+        this.clearLoop();
+        
+        // Store the fallback duration immediately
+        this.recordingDurationFallback = recording.durationSeconds || 0;
+        
+        // Add playing class to current recording
+        if (recordingElement) {
+            recordingElement.classList.add('playing');
+        }
+        
+        // Set initial values using the stored duration
+        this.currentTimeSpan.textContent = '0:00';
+        this.durationSpan.textContent = this.formatTime(this.recordingDurationFallback);
+        this.seekBar.value = 0;
+        this.seekBar.max = 100; // Set max immediately
+        this.progressFill.style.width = '0%';
+        
+        // Enable seeking immediately
+        this.seekBar.disabled = false;
+        
+        // Setup audio event listeners
+        this.currentAudio.addEventListener('loadedmetadata', () => {
+            // Update with actual duration when available
+            const duration = this.currentAudio.duration;
+            if (isFinite(duration) && duration > 0) {
+                this.durationSpan.textContent = this.formatTime(duration);
+                // Update the fallback duration with the actual duration
+                this.recordingDurationFallback = duration;
+            }
+        });
+        
+        // Add durationchange event listener
+        this.currentAudio.addEventListener('durationchange', () => {
+            if (this.currentAudio && this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
+                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
+                this.recordingDurationFallback = this.currentAudio.duration;
+                // Marker positions are relative to the duration
+                this.renderMarkers();
+                this.updatePositionState();
+            }
+        });
+        
+        this.currentAudio.addEventListener('ended', () => {
+            // A loop that runs to the very end starts over instead of finishing
+            if (this.hasLoop() && this.loop.end >= this.currentDuration() - 0.1) {
+                this.currentAudio.currentTime = this.loop.start;
+                this.currentAudio.play();
+                return;
+            }
+            const nextId = this.queue.next({ auto: true });
+            if (nextId) {
+                this.playQueueItem(nextId);
+                return;
+            }
+            this.stop();
+        });
+        
+        // Handle loading errors
+        this.currentAudio.addEventListener('error', (e) => {
+            console.error('Audio loading error:', e);
+            this.durationSpan.textContent = 'Error';
+            this.stop();
+        });
+        
+        // Handle audio canplay event
+        this.currentAudio.addEventListener('canplay', () => {
+            // Audio is ready to play
+            if (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
+                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
+                this.recordingDurationFallback = this.currentAudio.duration;
+            }
+            
+            // Apply pending seek if exists
+            if (this.pendingSeekTime !== undefined) {
+                this.currentAudio.currentTime = this.pendingSeekTime;
+                this.pendingSeekTime = undefined;
+            }
+        });
+        
+        // Handle loadeddata event as additional fallback
+        this.currentAudio.addEventListener('loadeddata', () => {
+            if (this.currentAudio && this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
+                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
+                this.recordingDurationFallback = this.currentAudio.duration;
+            }
+        });
+        
+        // No longer need the setTimeout fallback since we're using stored duration
+        
+        // Update UI
+        this.nowPlayingTitle.textContent = `Now Playing: ${recording.name}`;
+        this.playerContainer.style.display = 'block';
+        // Draw after the player is visible so the canvas has its layout size
+        drawPeaks(this.waveformCanvas, recording.peaks);
+        this.renderMarkers();
+        this.renderQueue();
+        this.transcriptPanel.show(recording);
+        this.updateMediaSession();
+        // Pick up where this recording was left off last time
+        const savedPosition = this.isLibraryRecording() ? PlaybackPositions.get(recording.id) : 0;
+        this.lastSavedPosition = savedPosition;
+        if (savedPosition > 1 && savedPosition < this.recordingDurationFallback - 1) {
+            this.seekTo(savedPosition);
+        }
+        this.playPauseBtn.textContent = '⏸️';
+        this.isPlaying = true;
+        
+        // Start playing
+        this.currentAudio.play().then(() => {
+            // Start smooth progress updates
+            this.startProgressInterval();
+        }).catch(err => {
+            console.error('Playback error:', err);
+            // Try to reload and play again
+            this.currentAudio.load();
+            setTimeout(() => {
+                if (this.currentAudio) {
+                    this.currentAudio.play().then(() => {
+                        this.startProgressInterval();
+                    }).catch(e => {
+                        console.error('Second playback attempt failed:', e);
+                        this.stop();
+                    });
+                }
+            }, 100);
+        });
+    }
+    
+    togglePlayPause() {
+        if (!this.currentAudio) return;
+        
+        if (this.isPlaying) {
+            this.currentAudio.pause();
+            this.playPauseBtn.textContent = '▶️';
+            this.isPlaying = false;
+            this.stopProgressInterval(); // Stop interval when paused
+            this.rememberPosition();
+            this.updatePlaybackState();
+        } else {
+            this.currentAudio.play()
+                .then(() => {
+                    this.playPauseBtn.textContent = '⏸️';
+                    this.isPlaying = true;
+                    this.startProgressInterval(); // Start interval when playing
+                    this.updatePlaybackState();
+                })
+                .catch(err => {
+                    console.error('Play error:', err);
+                });
+        }
+    }
+    
+    startProgressInterval() {
+        this.stopProgressInterval(); // Clear any existing interval
+        
+        // Update progress 30 times per second for smooth animation
+        this.progressInterval = setInterval(() => {
+            if (this.currentAudio && !this.currentAudio.paused) {
+                this.updateProgress();
+            }
+        }, 33); // 33ms = ~30fps
+    }
+    
+    stopProgressInterval() {
+        if (this.progressInterval) {
+            clearInterval(this.progressInterval);
+            this.progressInterval = null;
+        }
+    }
+    
+    stop() {
+        this.stopProgressInterval(); // Stop the progress interval
+        
+        if (this.currentAudio) {
+            this.currentAudio.pause();
+            // Finished recordings start from the beginning next time
+            if (this.currentAudio.ended) {
+                if (this.isLibraryRecording()) PlaybackPositions.clear(this.recording.id);
+            } else {
+                this.rememberPosition();
+            }
+            this.currentAudio.currentTime = 0;
+            
+            // Remove all event listeners
+            this.currentAudio.removeEventListener('ended', () => this.stop());
+            this.currentAudio.removeEventListener('loadedmetadata', () => {});
+            this.currentAudio.removeEventListener('error', () => {});
+            this.currentAudio.removeEventListener('canplay', () => {});
+            this.currentAudio.removeEventListener('durationchange', () => {});
+            this.currentAudio.removeEventListener('loadeddata', () => {});
+            
+            this.currentAudio = null;
+        }
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        // Reset UI
+        this.playerContainer.style.display = 'none';
+        this.playPauseBtn.textContent = '▶️';
+        this.isPlaying = false;
+        this.seekBar.value = 0;
+        this.progressFill.style.width = '0%';
+        this.currentTimeSpan.textContent = '0:00';
+        this.durationSpan.textContent = '0:00';
+        this.recording = null;
+        this.markersLayer.innerHTML = '';
+        this.clearLoop();
+        this.transcriptPanel.hide();
+        this.updatePlaybackState();
+        
+        // Remove playing class
+        document.querySelectorAll('.recording-item').forEach(item => {
+            item.classList.remove('playing');
+        });
+        
+        this.currentRecordingId = null;
+    }
+    
+    updateProgress() {
+        if (!this.currentAudio) return;
+
+        let currentTime = this.currentAudio.currentTime || 0;
+        if (this.hasLoop() && currentTime >= this.loop.end) {
+            this.currentAudio.currentTime = currentTime = this.loop.start;
+        }
+        if (Math.abs(currentTime - this.lastSavedPosition) >= AudioPlayer.POSITION_SAVE_INTERVAL) {
+            this.rememberPosition();
+        }
+
+        // Use actual duration if available, otherwise fallback
+        let duration = (isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0)
+            ? this.currentAudio.duration
+            : (this.recordingDurationFallback || 1);
+
+        const progress = (currentTime / duration) * 100;
+        const safeProgress = Math.max(0, Math.min(100, progress));
+
+        this.seekBar.value = safeProgress;
+        this.progressFill.style.width = safeProgress + '%';
+        this.progressFill.parentElement.style.setProperty('--progress-position', safeProgress + '%');
+
+        this.currentTimeSpan.textContent = this.formatTime(currentTime);
+        this.transcriptPanel.highlight(currentTime);
+
+        if (duration && this.durationSpan.textContent === 'Loading...') {
+            this.durationSpan.textContent = this.formatTime(duration);
+        }
+    }
+
+
+    
+    currentDuration() {
+        const duration = this.currentAudio && this.currentAudio.duration;
+        return (isFinite(duration) && duration > 0) ? duration : this.recordingDurationFallback;
+    }
+
+    seekTo(time) {
+        if (!this.currentAudio) return;
+        const duration = this.currentDuration();
+        time = Math.max(0, Math.min(time, duration || time));
+
+        if (this.currentAudio.readyState >= 2) {
+            this.currentAudio.currentTime = time;
+        } else {
+            this.pendingSeekTime = time;
+        }
+
+        const percent = duration > 0 ? (time / duration) * 100 : 0;
+        this.seekBar.value = percent;
+        this.progressFill.style.width = percent + '%';
+        this.progressFill.parentElement.style.setProperty('--progress-position', percent + '%');
+        this.currentTimeSpan.textContent = this.formatTime(time);
+        this.transcriptPanel.highlight(time);
+        this.updatePositionState();
+    }
+
+    setPlaybackRate(rate) {
+        rate = Math.max(0.5, Math.min(3, rate));
+        AppSettings.update({ playbackRate: rate });
+        this.rateSelect.value = String(rate);
+        if (this.currentAudio) {
+            this.currentAudio.playbackRate = rate;
+            this.updatePositionState();
+        }
+    }
+
+    // Steps to the next slower (-1) or faster (1) speed
+    stepPlaybackRate(direction) {
+        const rates = AudioPlayer.PLAYBACK_RATES;
+        const current = AppSettings.get('playbackRate');
+        const next = direction > 0
+            ? rates.find(rate => rate > current)
+            : rates.slice().reverse().find(rate => rate < current);
+        if (next !== undefined) {
+            this.setPlaybackRate(next);
+        }
+    }
+
+    skip(direction) {
+        if (!this.currentAudio) return;
+        const seconds = AppSettings.get(direction < 0 ? 'skipBackSeconds' : 'skipForwardSeconds');
+        this.seekTo(this.currentAudio.currentTime + direction * seconds);
+    }
+
+    updateSkipLabels() {
+        this.skipBackBtn.textContent = `\u21BA ${AppSettings.get('skipBackSeconds')}s`;
+        this.skipForwardBtn.textContent = `${AppSettings.get('skipForwardSeconds')}s \u21BB`;
+    }
+
+    hasLoop() {
+        return this.loop.start !== null && this.loop.end !== null;
+    }
+
+    // Sets loop point A ('start') or B ('end') at the playback position
+    setLoopPoint(which) {
+        if (!this.currentAudio) return;
+        this.loop[which] = this.currentAudio.currentTime;
+        // Setting one end on the wrong side of the other starts a new loop from there
+        if (this.hasLoop() && this.loop.end <= this.loop.start) {
+            this.loop[which === 'start' ? 'end' : 'start'] = null;
+        }
+        this.renderLoop();
+    }
+
+    clearLoop() {
+        this.loop = { start: null, end: null };
+        this.renderLoop();
+    }
+
+    renderLoop() {
+        const { start, end } = this.loop;
+        const duration = this.currentDuration();
+        if ((start === null && end === null) || !(duration > 0)) {
+            this.loopRegion.style.display = 'none';
+            this.loopRange.textContent = '';
+            return;
+        }
+        const from = start !== null ? start : 0;
+        const to = end !== null ? end : duration;
+        this.loopRegion.style.display = '';
+        this.loopRegion.style.left = `${(from / duration) * 100}%`;
+        this.loopRegion.style.width = `${Math.max(0, (to - from) / duration) * 100}%`;
+        // Only one end set so far
+        this.loopRegion.classList.toggle('partial', !this.hasLoop());
+        const format = (time) => time !== null ? this.formatTime(time) : '...';
+        this.loopRange.textContent = `Loop ${format(start)} - ${format(end)}`;
+    }
+
+    // Hides the player and forgets the queue
+    close() {
+        this.queue.clear();
+        this.stop();
+    }
+
+    // Plays every recording in the list, in order, starting with the first
+    playAll(ids) {
+        if (ids.length === 0) return;
+        this.queue.set(ids, 0);
+        this.playQueueItem(this.queue.current());
+    }
+
+    // Skips entries deleted since they were queued. Each entry is tried at most once, so a
+    // repeating queue of deleted recordings stops instead of going round forever.
+    playQueueItem(id) {
+        let nextId = id;
+        for (let tries = 0; nextId && tries < this.queue.length; tries++) {
+            const recording = library.findRecording(nextId);
+            if (recording) {
+                library.playRecording(nextId, recording.type, { fromQueue: true });
+                return;
+            }
+            nextId = this.queue.next();
+        }
+        this.stop();
+    }
+
+    next() {
+        const nextId = this.queue.next();
+        if (nextId) {
+            this.playQueueItem(nextId);
+        }
+    }
+
+    // Restarts the recording if it is a few seconds in, like a CD player; otherwise goes back one
+    previous() {
+        if (this.currentAudio && this.currentAudio.currentTime > 3) {
+            this.seekTo(0);
+            return;
+        }
+        const previousId = this.queue.previous();
+        if (previousId) {
+            this.playQueueItem(previousId);
+        } else {
+            this.seekTo(0);
+        }
+    }
+
+    renderQueue() {
+        const queue = this.queue;
+        const order = queue.playOrder();
+        const position = order.indexOf(queue.current());
+        const repeat = queue.repeat;
+        this.queuePrevBtn.disabled = !this.currentAudio;
+        this.queueNextBtn.disabled = position < 0 || (position >= order.length - 1 && repeat === 'off');
+        this.queueShuffleBtn.classList.toggle('active', queue.shuffle);
+        this.queueShuffleBtn.title = queue.shuffle ? 'Shuffle: on' : 'Shuffle: off';
+        this.queueRepeatBtn.classList.toggle('active', repeat !== 'off');
+        this.queueRepeatBtn.textContent = repeat === 'one' ? '\u{1F502}' : '\u{1F501}';
+        this.queueRepeatBtn.title = `Repeat: ${repeat === 'one' ? 'this recording' : repeat === 'all' ? 'all' : 'off'}`;
+
+        const showList = order.length > 1;
+        this.queueStatus.textContent = showList ? `${position + 1} of ${order.length}` : '';
+        this.queueList.style.display = showList ? '' : 'none';
+        this.queueList.innerHTML = showList ? order.map((id, i) => {
+            const recording = library.findRecording(id);
+            if (!recording) return '';
+            return `<li data-id="${escapeHtml(id)}" class="${i === position ? 'current' : ''}">
+                <span class="queue-title">${escapeHtml(recording.name)}</span>
+                <span class="queue-duration">${escapeHtml(recording.duration || '')}</span>
+            </li>`;
+        }).join('') : '';
+        const current = this.queueList.querySelector('li.current');
+        if (current) {
+            this.queueList.scrollTop = current.offsetTop - this.queueList.offsetTop;
+        }
+    }
+
+    // Hardware media keys and the browser's media controls drive the player
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        const handlers = {
+            play: () => { if (!this.isPlaying) this.togglePlayPause(); },
+            pause: () => { if (this.isPlaying) this.togglePlayPause(); },
+            stop: () => this.close(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next(),
+            seekbackward: (details) => this.currentAudio && this.seekTo(this.currentAudio.currentTime - (details.seekOffset || AppSettings.get('skipBackSeconds'))),
+            seekforward: (details) => this.currentAudio && this.seekTo(this.currentAudio.currentTime + (details.seekOffset || AppSettings.get('skipForwardSeconds'))),
+            seekto: (details) => this.seekTo(details.seekTime)
+        };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (e) {
+                // Not every browser supports every action
+            }
+        });
+    }
+
+    updateMediaSession() {
+        if (!('mediaSession' in navigator) || !this.recording) return;
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: this.recording.name,
+            artist: 'Voice Recorder',
+            album: this.recording.timestamp ? new Date(this.recording.timestamp).toLocaleDateString() : ''
+        });
+        this.updatePlaybackState();
+    }
+
+    updatePlaybackState() {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.playbackState = !this.currentAudio ? 'none' : this.isPlaying ? 'playing' : 'paused';
+        if (!this.currentAudio) {
+            navigator.mediaSession.metadata = null;
+        }
+        this.updatePositionState();
+    }
+
+    updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState || !this.currentAudio) return;
+        const duration = this.currentDuration();
+        if (!(duration > 0)) return;
+        try {
+            navigator.mediaSession.setPositionState({
+                duration,
+                playbackRate: this.currentAudio.playbackRate,
+                position: Math.min(duration, this.currentAudio.currentTime)
+            });
+        } catch (e) {
+            console.warn('Could not update the media session position:', e);
+        }
+    }
+
+    rememberPosition() {
+        if (!this.currentAudio || !this.isLibraryRecording()) return;
+        this.lastSavedPosition = this.currentAudio.currentTime;
+        PlaybackPositions.set(this.recording.id, this.lastSavedPosition);
+    }
+
+    // Markers can only be edited on recordings in the library (not e.g. editor previews)
+    isLibraryRecording() {
+        return !!(this.recording && library.findRecording(this.recording.id));
+    }
+
+    renderMarkers() {
+        if (!this.recording) return;
+        const markers = this.recording.markers || [];
+        const duration = this.currentDuration();
+
+        this.markersLayer.innerHTML = '';
+        if (duration > 0) {
+            markers.forEach((marker, i) => {
+                const flag = document.createElement('button');
+                flag.className = 'player-marker';
+                flag.dataset.time = marker.time;
+                flag.style.left = `${Math.min(100, (marker.time / duration) * 100)}%`;
+                flag.title = `${marker.label || `Marker ${i + 1}`} (${MarkerExport.formatClock(marker.time)})`;
+                this.markersLayer.appendChild(flag);
+            });
+        }
+
+        const editable = this.isLibraryRecording();
+        this.markerPanel.style.display = editable ? '' : 'none';
+        if (!editable) return;
+        document.getElementById('exportCueBtn').disabled = markers.length === 0;
+        document.getElementById('exportVttBtn').disabled = markers.length === 0;
+        renderMarkerList(this.markerList, markers, {
+            onSeek: (marker) => this.seekTo(marker.time),
+            onLabel: (marker, label) => {
+                marker.label = label;
+                this.saveMarkers();
+            },
+            onDelete: (marker) => {
+                this.recording.markers = markers.filter(m => m !== marker);
+                this.saveMarkers();
+            }
+        });
+    }
+
+    // Bookmarks the current playback position
+    addMarker() {
+        if (!this.currentAudio || !this.isLibraryRecording()) return;
+        const markers = this.recording.markers || [];
+        markers.push({ id: generateId('marker'), time: this.currentAudio.currentTime, label: '' });
+        markers.sort((a, b) => a.time - b.time);
+        this.recording.markers = markers;
+        this.saveMarkers();
+    }
+
+    saveMarkers() {
+        library.persistMetadata([this.recording]);
+        this.renderMarkers();
+    }
+
+    formatTime(seconds) {
+        if (!isFinite(seconds) || isNaN(seconds) || seconds < 0) return '0:00';
+        
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+    }
+}
+
+// TranscriptPanel Class: The transcript under the player. The segment being spoken is
+// highlighted as playback moves, clicking a segment seeks to it, and it starts transcription.
+class TranscriptPanel {
+    constructor(player) {
+        this.player = player;
+        this.recording = null;
+        this.activeIndex = -1;
+        // The recording being transcribed and its latest status message
+        this.job = null;
+
+        this.panel = document.getElementById('transcriptPanel');
+        this.segmentsDiv = document.getElementById('transcriptSegments');
+        this.statusDiv = document.getElementById('transcriptStatus');
+        this.transcribeBtn = document.getElementById('transcribeBtn');
+        this.languageSelect = document.getElementById('transcriptLanguage');
+        this.exportButtons = {
+            txt: document.getElementById('exportTxtBtn'),
+            srt: document.getElementById('exportSrtBtn'),
+            vtt: document.getElementById('exportTranscriptVttBtn')
+        };
+
+        this.languageSelect.value = AppSettings.get('transcriptionLanguage');
+        this.languageSelect.addEventListener('change', () => {
+            AppSettings.update({ transcriptionLanguage: this.languageSelect.value });
+        });
+        this.transcribeBtn.addEventListener('click', () => this.transcribe());
+        // Transcripts already made (or restored from a backup) still show without the model
+        this.installed = null; // Unknown until the files have been checked
+        Transcriber.isInstalled().then(installed => {
+            this.installed = installed;
+            this.render();
+        });
+        Object.entries(this.exportButtons).forEach(([format, button]) => {
+            button.addEventListener('click', () => {
+                if (this.recording && this.recording.transcript) {
+                    TranscriptExport.download(this.recording, format);
+                }
+            });
+        });
+        this.segmentsDiv.addEventListener('click', (e) => {
+            const segment = e.target.closest('.transcript-segment');
+            if (segment && this.recording) {
+                this.player.seekTo(this.recording.transcript.segments[segment.dataset.index].start);
+            }
+        });
+    }
+
+    show(recording) {
+        this.recording = recording;
+        this.panel.style.display = this.player.isLibraryRecording() ? '' : 'none';
+        this.render();
+    }
+
+    hide() {
+        this.recording = null;
+        this.segmentsDiv.innerHTML = '';
+    }
+
+    segments() {
+        return this.recording && this.recording.transcript ? this.recording.transcript.segments : [];
+    }
+
+    render() {
+        if (!this.recording) return;
+        const transcript = this.recording.transcript;
+        const segments = this.segments();
+        const transcribing = this.job && this.job.recordingId === this.recording.id;
+
+        this.transcribeBtn.textContent = transcript ? 'Transcribe again' : 'Transcribe';
+        this.transcribeBtn.disabled = Transcriber.busy || !this.installed;
+        this.languageSelect.disabled = !this.installed;
+        this.transcribeBtn.title = this.installed === false
+            ? 'The speech recognition model could not be loaded. See "Transcription" in the README.'
+            : '';
+        Object.values(this.exportButtons).forEach(button => {
+            button.disabled = segments.length === 0;
+        });
+
+        if (transcribing) {
+            this.statusDiv.textContent = this.job.status;
+        } else if (transcript && segments.length === 0) {
+            this.statusDiv.textContent = 'No speech was recognized in this recording.';
+        } else if (this.installed === false && !transcript) {
+            this.statusDiv.textContent = 'Transcription is unavailable because the speech recognition model could not be loaded.';
+        } else {
+            this.statusDiv.textContent = '';
+        }
+
+        this.activeIndex = -1;
+        this.segmentsDiv.innerHTML = segments.map((segment, i) => `
+            <p class="transcript-segment" data-index="${i}">
+                <span class="segment-time">${this.player.formatTime(segment.start)}</span>
+                ${escapeHtml(segment.text)}
+            </p>
+        `).join('');
+        if (this.player.currentAudio) {
+            this.highlight(this.player.currentAudio.currentTime);
+        }
+    }
+
+    highlight(time) {
+        const segments = this.segments();
+        if (segments.length === 0) return;
+
+        let index = -1;
+        for (let i = 0; i < segments.length; i++) {
+            if (segments[i].start > time) break;
+            if (time < segments[i].end || (i + 1 < segments.length && time < segments[i + 1].start)) {
+                index = i;
+            }
+        }
+        if (index === this.activeIndex) return;
+
+        const previous = this.segmentsDiv.querySelector('.transcript-segment.active');
+        if (previous) previous.classList.remove('active');
+        this.activeIndex = index;
+        if (index < 0) return;
+
+        const element = this.segmentsDiv.querySelector(`.transcript-segment[data-index="${index}"]`);
+        element.classList.add('active');
+        // Keep the active segment in view without scrolling the page
+        const { scrollTop, clientHeight } = this.segmentsDiv;
+        if (element.offsetTop < scrollTop || element.offsetTop + element.offsetHeight > scrollTop + clientHeight) {
+            this.segmentsDiv.scrollTop = element.offsetTop - clientHeight / 3;
+        }
+    }
+
+    async transcribe() {
+        const recording = this.recording;
+        if (!recording || Transcriber.busy) return;
+        if (recording.transcript && !confirm(`Replace the transcript of "${recording.name}"?`)) return;
+
+        const language = this.languageSelect.value;
+        this.job = { recordingId: recording.id, status: 'Starting...' };
+        const updateStatus = (status) => {
+            this.job.status = status;
+            if (this.recording === recording) {
+                this.statusDiv.textContent = status;
+            }
+        };
+
+        try {
+            const blob = await library.getBlob(recording);
+            const pending = Transcriber.transcribe(blob, { language }, updateStatus);
+            this.render();
+            const segments = await pending;
+            recording.transcript = {
+                segments,
+                language,
+                model: Transcriber.MODEL_NAME,
+                createdAt: Date.now()
+            };
+            await library.persistMetadata([recording]);
+            this.job = null;
+        } catch (e) {
+            console.error('Transcription failed:', e);
+            this.job = null;
+            if (this.recording === recording) {
+                this.render();
+                this.statusDiv.textContent = `Transcription failed: ${e.message}`;
+            }
+            return;
+        }
+        if (this.recording === recording) {
+            this.render();
+        }
+    }
+}
+
+// AudioEnhancer Class: Offline "Improve" chain - high-pass, spectral noise reduction,
+// silence trimming and loudness normalization. Runs entirely in the browser.
+class AudioEnhancer {
+    static worker = null;
+    static jobs = new Map();
+    static nextJobId = 1;
+
+    static DEFAULTS = {
+        sampleRate: 48000,
+        highPassHz: 80,
+        noiseReduction: true,
+        noiseReductionDb: 18,     // Maximum attenuation applied to noise-only bins
+        trimSilence: true,
+        silenceThresholdDb: -45,  // Relative to the loudest 20 ms window
+        silencePaddingSeconds: 0.15,
+        targetLufs: -16,
+        truePeakCeilingDb: -1
+    };
+
+    constructor(options = {}) {
+        this.options = { ...AudioEnhancer.DEFAULTS, ...options };
+    }
+
+    // Noise reduction is the slow part, so it runs in noise-reduction-worker.js
+    static getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker('noise-reduction-worker.js');
+            this.worker.onmessage = (e) => {
+                const { jobId, channels, error } = e.data;
+                const job = this.jobs.get(jobId);
+                if (!job) return;
+                this.jobs.delete(jobId);
+                if (error) {
+                    job.reject(new Error(error));
+                } else {
+                    job.resolve(channels);
+                }
+            };
+            this.worker.onerror = (e) => {
+                console.error('Noise reduction worker error:', e);
+                this.jobs.forEach(job => job.reject(new Error('Noise reduction stopped unexpectedly')));
+                this.jobs.clear();
+                this.worker = null;
+            };
+        }
+        return this.worker;
+    }
+
+    // Resolves with the channels after spectral noise reduction; the inputs are transferred
+    reduceNoise(channels) {
+        const jobId = AudioEnhancer.nextJobId++;
+        return new Promise((resolve, reject) => {
+            AudioEnhancer.jobs.set(jobId, { resolve, reject });
+            AudioEnhancer.getWorker().postMessage({
+                jobId,
+                channels,
+                noiseReductionDb: this.options.noiseReductionDb
+            }, channels.map(data => data.buffer));
+        });
+    }
+
+    async process(blob) {
+        const decoded = await decodeAudioBlob(blob, this.options.sampleRate);
+        const filtered = await this.highPass(decoded);
+
+        let channels = [];
+        for (let c = 0; c < filtered.numberOfChannels; c++) {
+            channels.push(new Float32Array(filtered.getChannelData(c)));
+        }
+        const sampleRate = filtered.sampleRate;
+
+        if (this.options.noiseReduction) {
+            channels = await this.reduceNoise(channels);
+        }
+        if (this.options.trimSilence) {
+            channels = this.trimSilence(channels, sampleRate);
+        }
+        this.normalizeLoudness(channels, sampleRate);
+
+        const output = new AudioBuffer({
+            numberOfChannels: channels.length,
+            length: channels[0].length,
+            sampleRate
+        });
+        channels.forEach((data, c) => output.copyToChannel(data, c));
+        return output;
+    }
+
+    // Removes rumble and handling noise below the voice range
+    async highPass(buffer) {
+        const offlineContext = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        const bufferSource = offlineContext.createBufferSource();
+        bufferSource.buffer = buffer;
+
+        const filter = offlineContext.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = this.options.highPassHz;
+        filter.Q.value = Math.SQRT1_2;
+
+        bufferSource.connect(filter).connect(offlineContext.destination);
+        bufferSource.start();
+        return offlineContext.startRendering();
+    }
+
+    // Cuts leading and trailing audio that stays below the silence threshold
+    trimSilence(channels, sampleRate) {
+        const windowSize = Math.max(1, Math.round(sampleRate * 0.02));
+        const length = channels[0].length;
+        const levels = [];
+        for (let start = 0; start < length; start += windowSize) {
+            const end = Math.min(length, start + windowSize);
+            let sum = 0;
+            channels.forEach(data => {
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+            });
+            const rms = Math.sqrt(sum / ((end - start) * channels.length));
+            levels.push(20 * Math.log10(rms || 1e-12));
+        }
+
+        // A loop rather than Math.max(...levels), which overflows the stack on long recordings
+        let loudest = -Infinity;
+        for (const level of levels) {
+            if (level > loudest) loudest = level;
+        }
+        const threshold = Math.max(-70, loudest + this.options.silenceThresholdDb);
+        const first = levels.findIndex(level => level > threshold);
+        if (first === -1) return channels;
+        let last = levels.length - 1;
+        while (last > first && levels[last] <= threshold) last--;
+
+        const padding = Math.round(this.options.silencePaddingSeconds * sampleRate);
+        const startSample = Math.max(0, first * windowSize - padding);
+        const endSample = Math.min(length, (last + 1) * windowSize + padding);
+        return channels.map(data => data.slice(startSample, endSample));
+    }
+
+    // Scales the audio to the target integrated loudness, limited by the peak ceiling
+    normalizeLoudness(channels, sampleRate) {
+        const loudness = AudioEnhancer.measureLoudness(channels, sampleRate);
+        if (!isFinite(loudness)) return;
+
+        let gain = Math.pow(10, (this.options.targetLufs - loudness) / 20);
+
+        let peak = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+        });
+        const ceiling = Math.pow(10, this.options.truePeakCeilingDb / 20);
+        if (peak * gain > ceiling) {
+            gain = ceiling / peak;
+        }
+
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        });
+    }
+
+    // Integrated loudness in LUFS following ITU-R BS.1770 (K-weighting, 400 ms
+    // blocks with 75% overlap, absolute -70 LUFS and relative -10 LU gates)
+    static measureLoudness(channels, sampleRate) {
+        const weighted = channels.map(data => {
+            const shelf = AudioEnhancer.kWeightingShelf(sampleRate);
+            const highPass = AudioEnhancer.kWeightingHighPass(sampleRate);
+            return AudioEnhancer.applyBiquad(AudioEnhancer.applyBiquad(data, shelf), highPass);
+        });
+
+        const length = channels[0].length;
+        const blockSize = Math.min(length, Math.round(sampleRate * 0.4));
+        const step = Math.max(1, Math.round(blockSize / 4));
+        if (blockSize === 0) return -Infinity;
+
+        const blockPowers = [];
+        for (let start = 0; start + blockSize <= length; start += step) {
+            let power = 0;
+            weighted.forEach(data => {
+                let sum = 0;
+                for (let i = start; i < start + blockSize; i++) {
+                    sum += data[i] * data[i];
+                }
+                power += sum / blockSize;
+            });
+            blockPowers.push(power);
+        }
+
+        const toLufs = power => -0.691 + 10 * Math.log10(power);
+        const aboveAbsolute = blockPowers.filter(power => toLufs(power) > -70);
+        if (aboveAbsolute.length === 0) return -Infinity;
+
+        const mean = powers => powers.reduce((a, b) => a + b, 0) / powers.length;
+        const relativeGate = toLufs(mean(aboveAbsolute)) - 10;
+        const gated = aboveAbsolute.filter(power => toLufs(power) > relativeGate);
+        return toLufs(mean(gated.length ? gated : aboveAbsolute));
+    }
+
+    static kWeightingShelf(sampleRate) {
+        const gainDb = 3.99984385397;
+        const q = 0.7071752369554193;
+        const fc = 1681.9744509555319;
+        const A = Math.pow(10, gainDb / 40);
+        const w0 = 2 * Math.PI * fc / sampleRate;
+        const alpha = Math.sin(w0) / (2 * q);
+        const cos = Math.cos(w0);
+        const sqrtA = Math.sqrt(A);
+        return AudioEnhancer.normalizeBiquad(
+            [A * ((A + 1) + (A - 1) * cos + 2 * sqrtA * alpha),
+             -2 * A * ((A - 1) + (A + 1) * cos),
+             A * ((A + 1) + (A - 1) * cos - 2 * sqrtA * alpha)],
+            [(A + 1) - (A - 1) * cos + 2 * sqrtA * alpha,
+             2 * ((A - 1) - (A + 1) * cos),
+             (A + 1) - (A - 1) * cos - 2 * sqrtA * alpha]
+        );
+    }
+
+    static kWeightingHighPass(sampleRate) {
+        const q = 0.5003270373253953;
+        const fc = 38.13547087613982;
+        const w0 = 2 * Math.PI * fc / sampleRate;
+        const alpha = Math.sin(w0) / (2 * q);
+        const cos = Math.cos(w0);
+        return AudioEnhancer.normalizeBiquad(
+            [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+            [1 + alpha, -2 * cos, 1 - alpha]
+        );
+    }
+
+    static normalizeBiquad(b, a) {
+        return {
+            b0: b[0] / a[0], b1: b[1] / a[0], b2: b[2] / a[0],
+            a1: a[1] / a[0], a2: a[2] / a[0]
+        };
+    }
+
+    static applyBiquad(input, { b0, b1, b2, a1, a2 }) {
+        const output = new Float32Array(input.length);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            output[i] = y;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+        }
+        return output;
+    }
+}
+
+// VirtualList Class: Renders only the rows of a long list that are near the viewport.
+// Rows are absolutely positioned inside the list element, which is sized to the full height.
+class VirtualList {
+    static OVERSCAN_PX = 400;
+
+    constructor(listElement, scrollParent, { renderRow, rowHeight, onRowAttached }) {
+        this.list = listElement;
+        this.scrollParent = scrollParent;
+        this.renderRow = renderRow;
+        this.rowHeight = rowHeight;
+        this.onRowAttached = onRowAttached;
+        this.rows = [];
+        this.offsets = [];
+        this.range = null;
+        this.frame = null;
+
+        this.scrollParent.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleUpdate());
+    }
+
+    setRows(rows) {
+        this.rows = rows;
+        this.offsets = [];
+        let top = 0;
+        rows.forEach(row => {
+            this.offsets.push(top);
+            top += this.rowHeight(row);
+        });
+        this.list.classList.add('virtual');
+        this.list.style.height = `${top}px`;
+        this.refresh();
+    }
+
+    showEmpty(html) {
+        this.rows = [];
+        this.offsets = [];
+        this.range = null;
+        this.list.classList.remove('virtual');
+        this.list.style.height = '';
+        this.list.innerHTML = html;
+    }
+
+    // Scrolls just enough to bring the row into view
+    scrollToRow(index) {
+        const listTop = this.list.getBoundingClientRect().top;
+        const parentRect = this.scrollParent.getBoundingClientRect();
+        const rowTop = listTop + this.offsets[index];
+        const rowBottom = rowTop + this.rowHeight(this.rows[index]);
+        if (rowTop < parentRect.top) {
+            this.scrollParent.scrollTop -= parentRect.top - rowTop;
+        } else if (rowBottom > parentRect.bottom) {
+            this.scrollParent.scrollTop += rowBottom - parentRect.bottom;
+        }
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    // Re-renders the visible rows even if the scroll position hasn't changed
+    refresh() {
+        this.range = null;
+        this.update();
+    }
+
+    update() {
+        if (this.rows.length === 0) return;
+
+        const listTop = this.list.getBoundingClientRect().top;
+        const parentRect = this.scrollParent.getBoundingClientRect();
+        const viewTop = parentRect.top - listTop - VirtualList.OVERSCAN_PX;
+        const viewBottom = parentRect.bottom - listTop + VirtualList.OVERSCAN_PX;
+
+        // Binary search for the first row that ends below the top of the view
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.offsets[mid] + this.rowHeight(this.rows[mid]) <= viewTop) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const start = low;
+        let end = start;
+        while (end < this.rows.length && this.offsets[end] < viewBottom) {
+            end++;
+        }
+
+        if (this.range && this.range.start === start && this.range.end === end) return;
+        this.range = { start, end };
+
+        const attached = [];
+        const fragment = document.createDocumentFragment();
+        for (let i = start; i < end; i++) {
+            const element = this.renderRow(this.rows[i]);
+            element.style.position = 'absolute';
+            element.style.top = `${this.offsets[i]}px`;
+            element.style.left = '0';
+            element.style.right = '0';
+            fragment.appendChild(element);
+            attached.push([element, this.rows[i]]);
+        }
+        this.list.innerHTML = '';
+        this.list.appendChild(fragment);
+
+        if (this.onRowAttached) {
+            attached.forEach(([element, row]) => this.onRowAttached(element, row));
+        }
+    }
+}
+
+// LibraryFilter Class: Search, date, duration, folder and tag filters and the sort
+// order for the recording lists. The state is kept in localStorage between sessions.
+class LibraryFilter {
+    static STORAGE_KEY = 'libraryFilters';
+    static UNFILED = 'unfiled';
+    static DEFAULTS = {
+        query: '', dateFrom: '', dateTo: '', minMinutes: '', maxMinutes: '', sort: 'date-desc',
+        folderId: '', tags: []
+    };
+
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.state = this.load();
+
+        this.inputs = {
+            query: document.getElementById('librarySearch'),
+            dateFrom: document.getElementById('libraryDateFrom'),
+            dateTo: document.getElementById('libraryDateTo'),
+            minMinutes: document.getElementById('libraryMinMinutes'),
+            maxMinutes: document.getElementById('libraryMaxMinutes'),
+            sort: document.getElementById('librarySort')
+        };
+        this.clearBtn = document.getElementById('libraryClearFilters');
+
+        Object.entries(this.inputs).forEach(([key, input]) => {
+            input.value = this.state[key];
+            const handler = () => this.set(key, input.value);
+            // Typing in the search box shouldn't re-render on every keystroke
+            input.addEventListener('input', key === 'query' ? debounce(handler, 150) : handler);
+        });
+        this.clearBtn.addEventListener('click', () => this.clear());
+        this.updateClearButton();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(StorageManager.getFromLocalStorage(LibraryFilter.STORAGE_KEY, '{}'));
+            const state = { ...LibraryFilter.DEFAULTS, ...saved };
+            if (!Array.isArray(state.tags)) state.tags = [];
+            return state;
+        } catch (e) {
+            return { ...LibraryFilter.DEFAULTS };
+        }
+    }
+
+    set(key, value) {
+        this.state[key] = value;
+        StorageManager.saveToLocalStorage(LibraryFilter.STORAGE_KEY, JSON.stringify(this.state));
+        this.updateClearButton();
+        this.onChange();
+    }
+
+    // Tags are matched case-insensitively, so they are kept in lower case here
+    toggleTag(tag) {
+        const key = tag.toLowerCase();
+        const tags = this.state.tags.includes(key)
+            ? this.state.tags.filter(t => t !== key)
+            : [...this.state.tags, key];
+        this.set('tags', tags);
+    }
+
+    // The selected folder is navigation rather than a filter, so clearing keeps it
+    clear() {
+        const { sort, folderId } = this.state;
+        this.state = { ...LibraryFilter.DEFAULTS, sort, folderId };
+        Object.entries(this.inputs).forEach(([key, input]) => {
+            input.value = this.state[key];
+        });
+        StorageManager.saveToLocalStorage(LibraryFilter.STORAGE_KEY, JSON.stringify(this.state));
+        this.updateClearButton();
+        this.onChange();
+    }
+
+    isActive() {
+        const { query, dateFrom, dateTo, minMinutes, maxMinutes, tags } = this.state;
+        return !!(query.trim() || dateFrom || dateTo || minMinutes !== '' || maxMinutes !== '' || tags.length > 0);
+    }
+
+    updateClearButton() {
+        this.clearBtn.disabled = !this.isActive();
+    }
+
+    // Date headers only make sense when the list is in date order
+    groupsByDate() {
+        return this.state.sort.startsWith('date');
+    }
+
+    // Text that the search box matches against
+    searchText(rec) {
+        const transcript = rec.transcript ? rec.transcript.segments.map(segment => segment.text) : [];
+        return [rec.name, rec.notes, ...(rec.tags || []), ...transcript].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    // inFolder decides whether a recording belongs to the selected folder
+    apply(recordings, inFolder = null) {
+        const { query, dateFrom, dateTo, minMinutes, maxMinutes, sort, tags } = this.state;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const from = dateFrom ? LibraryFilter.parseLocalDate(dateFrom).getTime() : -Infinity;
+        // The "to" date is inclusive, so compare against the start of the next day
+        const to = dateTo ? LibraryFilter.parseLocalDate(dateTo).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+        const minSeconds = minMinutes !== '' ? parseFloat(minMinutes) * 60 : -Infinity;
+        const maxSeconds = maxMinutes !== '' ? parseFloat(maxMinutes) * 60 : Infinity;
+
+        const filtered = recordings.filter(rec => {
+            if (rec.timestamp < from || rec.timestamp >= to) return false;
+            const seconds = rec.durationSeconds || 0;
+            if (seconds < minSeconds || seconds > maxSeconds) return false;
+            if (inFolder && !inFolder(rec)) return false;
+            if (tags.length > 0) {
+                const recordingTags = (rec.tags || []).map(tag => tag.toLowerCase());
+                if (!tags.every(tag => recordingTags.includes(tag))) return false;
+            }
+            if (terms.length > 0) {
+                const text = this.searchText(rec);
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+            return true;
+        });
+
+        const comparators = {
+            'date-desc': (a, b) => b.timestamp - a.timestamp,
+            'date-asc': (a, b) => a.timestamp - b.timestamp,
+            'name-asc': (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }),
+            'name-desc': (a, b) => b.name.localeCompare(a.name, undefined, { numeric: true }),
+            'duration-desc': (a, b) => (b.durationSeconds || 0) - (a.durationSeconds || 0),
+            'duration-asc': (a, b) => (a.durationSeconds || 0) - (b.durationSeconds || 0),
+            'size-desc': (a, b) => (b.size || 0) - (a.size || 0),
+            'size-asc': (a, b) => (a.size || 0) - (b.size || 0)
+        };
+        return filtered.sort(comparators[sort] || comparators['date-desc']);
+    }
+
+    static parseLocalDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+}
+
+class RecordingLibrary {
+    constructor() {
+        this.rawRecordingsList = document.getElementById('rawRecordingsList');
+        this.aiImprovedList = document.getElementById('aiImprovedList');
+        this.recordings = {
+            raw: [],
+            improved: []
+        };
+        // Blobs that could not be persisted (e.g. quota exceeded) stay here so
+        // they can still be played or downloaded during this session
+        this.unsavedBlobs = new Map();
+        this.improvingIds = new Set();
+        // Nested folders: { id, name, parentId, createdAt }, parentId null at the top level
+        this.folders = [];
+        // Deleted recordings (with deletedAt), kept until the retention period runs out
+        this.trash = [];
+        this.trashButton = document.getElementById('trashBtn');
+        this.bulkActions = new BulkActions(this);
+        // The row keyboard navigation is on: { id, type }
+        this.activeRow = null;
+
+        this.filter = new LibraryFilter(() => {
+            this.renderRawRecordings();
+            this.renderAIRecordings();
+        });
+        this.folderTree = new FolderTree(this);
+        const rowHeight = row => RecordingLibrary.ROW_HEIGHTS[row.kind];
+        const onRowAttached = (element, row) => {
+            if (row.kind === 'item' && row.rec.peaks) {
+                drawPeaks(element.querySelector('.mini-waveform'), row.rec.peaks);
+            }
+        };
+        this.virtualLists = {
+            raw: new VirtualList(this.rawRecordingsList, document.getElementById('container'), {
+                renderRow: row => this.renderRow(row, 'raw'), rowHeight, onRowAttached
+            }),
+            improved: new VirtualList(this.aiImprovedList, this.aiImprovedList.closest('.rightPanel-content'), {
+                renderRow: row => this.renderRow(row, 'improved'), rowHeight, onRowAttached
+            })
+        };
+        this.setupEventListeners();
+
+        // No need for tab switching anymore
+        this.renderRawRecordings();
+        this.renderAIRecordings();
+        this.ready = this.loadRecordings();
+    }
+
+    async loadRecordings() {
+        try {
+            await RecordingStore.migrateFromLocalStorage();
+        } catch (e) {
+            console.error('Failed to migrate recordings from localStorage:', e);
+            this.reportStorageError(e, 'Some recordings saved by an older version could not be moved to the new storage. They will be migrated again next time.');
+        }
+
+        try {
+            this.folders = await RecordingStore.getFolders();
+            const stored = await RecordingStore.getAllMetadata();
+            stored.sort((a, b) => b.timestamp - a.timestamp);
+            const all = stored.filter(rec => !rec.deletedAt);
+            this.trash = stored.filter(rec => rec.deletedAt);
+            this.recordings.raw = all.filter(rec => rec.type === 'raw');
+            this.recordings.improved = all.filter(rec => rec.type === 'improved');
+        } catch (e) {
+            console.error('Failed to load recordings from IndexedDB:', e);
+            alert('Your recordings could not be loaded from browser storage.');
+        }
+
+        this.renderRawRecordings();
+        this.renderAIRecordings();
+        await this.purgeExpiredTrash();
+        await this.checkForUnfinishedSessions();
+        this.backfillPeaks();
+    }
+
+    // Offers to turn takes left behind by a crash or closed tab into library entries
+    async checkForUnfinishedSessions() {
+        let sessions;
+        try {
+            sessions = await AutosaveSession.findUnfinished();
+        } catch (e) {
+            console.error('Failed to look for unfinished recordings:', e);
+            return;
+        }
+
+        const banner = document.getElementById('recoveryBanner');
+        const recoverable = sessions.filter(session => session.chunkCount > 0);
+        // Sessions that never got any audio are not worth asking about
+        sessions.filter(session => session.chunkCount === 0)
+            .forEach(session => RecordingStore.deleteSession(session.id).catch(() => {}));
+
+        if (recoverable.length === 0) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const count = recoverable.length;
+        banner.querySelector('.recovery-message').textContent = count === 1
+            ? 'A recording was interrupted before it was saved.'
+            : `${count} recordings were interrupted before they were saved.`;
+        banner.style.display = 'flex';
+
+        banner.querySelector('.recover-btn').onclick = async () => {
+            banner.style.display = 'none';
+            for (const session of recoverable) {
+                await this.recoverSession(session);
+            }
+        };
+        banner.querySelector('.discard-btn').onclick = async () => {
+            if (!confirm('Discard the interrupted recordings? This cannot be undone.')) return;
+            banner.style.display = 'none';
+            for (const session of recoverable) {
+                await RecordingStore.deleteSession(session.id).catch(e => console.error('Failed to discard session:', e));
+            }
+        };
+    }
+
+    async recoverSession(session) {
+        try {
+            const chunks = await RecordingStore.getSessionChunks(session.id);
+            const blob = new Blob(chunks, { type: session.mimeType });
+            const startedAt = new Date(session.startedAt).toLocaleString();
+            const recording = await this.addRecording(blob, session.durationSeconds, 'raw', {
+                name: `Recovered recording (${startedAt})`,
+                timestamp: session.startedAt,
+                peaks: session.peaks,
+                markers: session.markers,
+                recovered: true
+            });
+            if (!recording.unsaved) {
+                await RecordingStore.deleteSession(session.id);
+            }
+            this.updateFromDecodedAudio(recording, blob);
+        } catch (e) {
+            console.error('Failed to recover session:', e);
+            alert('An interrupted recording could not be recovered.');
+        }
+    }
+
+    saveRecordings(type = 'raw') {
+        const recordings = this.recordings[type].filter(rec => !this.unsavedBlobs.has(rec.id));
+        return RecordingStore.saveMetadata(recordings).catch(e => {
+            console.error(`Failed to save ${type} recordings:`, e);
+            this.reportStorageError(e, 'Your changes could not be saved.');
+        });
+    }
+
+    reportStorageError(error, message) {
+        if (RecordingStore.isQuotaError(error)) {
+            alert(`${message}\n\nBrowser storage is full. Download or delete some recordings to free up space.`);
+        } else {
+            alert(message);
+        }
+    }
+
+    async getBlob(recording) {
+        if (this.unsavedBlobs.has(recording.id)) {
+            return this.unsavedBlobs.get(recording.id);
+        }
+        return RecordingStore.getBlob(recording.id);
+    }
+
+    async addRecording(blob, duration, type = 'raw', extra = {}) {
+        const newRecording = {
+            id: generateId('rec'),
+            name: `Recording ${this.recordings[type].length + 1}`,
+            duration: this.formatTime(duration),
+            durationSeconds: duration, // Add this line to store raw seconds
+            timestamp: Date.now(),
+            type: type,
+            mimeType: blob.type,
+            size: blob.size,
+            ...extra
+        };
+        // New recordings land in the folder being viewed, so they don't vanish from the list
+        if (!('folderId' in extra) && this.getFolder(this.filter.state.folderId)) {
+            newRecording.folderId = this.filter.state.folderId;
+        }
+
+        try {
+            await RecordingStore.saveRecording(newRecording, blob);
+        } catch (e) {
+            console.error('Failed to save recording:', e);
+            // Keep the take in memory rather than losing it
+            this.unsavedBlobs.set(newRecording.id, blob);
+            newRecording.unsaved = true;
+            this.reportStorageError(e, `"${newRecording.name}" could not be saved to browser storage. It is available until you close this page, so download it now to keep it.`);
+        }
+
+        this.recordings[type].unshift(newRecording);
+
+        if (type === 'raw') {
+            this.renderRawRecordings();
+        } else {
+            this.renderAIRecordings();
+        }
+        return newRecording;
+    }
+
+    // Fills in what can only be known from the decoded audio: the true
+    // duration, and the peaks for recordings saved without them
+    async updateFromDecodedAudio(recording, blob) {
+        if (!recording) return;
+        try {
+            const audioBuffer = await decodeAudioBlob(blob || await this.getBlob(recording));
+            const actual = audioBuffer.duration;
+            let changed = false;
+            let durationChanged = false;
+
+            if (isFinite(actual) && actual > 0 && Math.abs(actual - recording.durationSeconds) >= 0.05) {
+                recording.durationSeconds = actual;
+                recording.duration = this.formatTime(actual);
+                changed = durationChanged = true;
+            }
+            if (!recording.peaks) {
+                recording.peaks = resamplePeaks(computePeaks(audioBuffer, PEAK_COUNT));
+                changed = true;
+            }
+            if (!changed) return;
+
+            if (!recording.unsaved) {
+                await RecordingStore.saveMetadata([recording]);
+            }
+            if (durationChanged) {
+                if (recording.type === 'raw') {
+                    this.renderRawRecordings();
+                } else {
+                    this.renderAIRecordings();
+                }
+            } else {
+                this.drawMiniWaveform(recording);
+            }
+        } catch (e) {
+            console.error('Failed to analyze decoded audio:', e);
+        }
+    }
+
+    // Decodes older recordings one at a time to give them a waveform
+    async backfillPeaks() {
+        const missing = [...this.recordings.raw, ...this.recordings.improved].filter(rec => !rec.peaks);
+        for (const recording of missing) {
+            await this.updateFromDecodedAudio(recording);
+        }
+    }
+
+    drawMiniWaveform(recording) {
+        const canvas = document.querySelector(`.recording-item[data-id="${CSS.escape(recording.id)}"] .mini-waveform`);
+        if (canvas) {
+            drawPeaks(canvas, recording.peaks);
+        }
+    }
+
+    // Deleting moves recordings to the trash; they can be restored until the retention period is over
+    async trashRecordings(ids) {
+        const idSet = new Set(ids);
+        const trashed = this.allRecordings().filter(rec => idSet.has(rec.id));
+        if (trashed.length === 0) return;
+        const deletedAt = Date.now();
+        trashed.forEach(rec => {
+            rec.deletedAt = deletedAt;
+        });
+        this.recordings.raw = this.recordings.raw.filter(rec => !idSet.has(rec.id));
+        this.recordings.improved = this.recordings.improved.filter(rec => !idSet.has(rec.id));
+        this.trash.push(...trashed);
+        this.bulkActions.deselect(ids);
+        if (audioPlayer.currentRecordingId && idSet.has(audioPlayer.currentRecordingId)) {
+            audioPlayer.close();
+        }
+
+        await this.persistMetadata(trashed);
+        this.renderAll();
+        const restoreIds = trashed.map(rec => rec.id);
+        Toast.show(trashed.length === 1
+            ? `"${trashed[0].name}" was moved to the trash.`
+            : `${trashed.length} recordings were moved to the trash.`, {
+            actionLabel: 'Undo',
+            onAction: () => this.restoreRecordings(restoreIds)
+        });
+    }
+
+    async restoreRecordings(ids) {
+        const idSet = new Set(ids);
+        const restored = this.trash.filter(rec => idSet.has(rec.id));
+        if (restored.length === 0) return;
+        this.trash = this.trash.filter(rec => !idSet.has(rec.id));
+        restored.forEach(rec => {
+            delete rec.deletedAt;
+            this.recordings[rec.type].push(rec);
+        });
+        this.sortRecordings();
+        await this.persistMetadata(restored);
+        this.renderAll();
+    }
+
+    // Deletes recordings in the trash for good
+    async purgeRecordings(ids) {
+        const idSet = new Set(ids);
+        const purged = this.trash.filter(rec => idSet.has(rec.id));
+        this.trash = this.trash.filter(rec => !idSet.has(rec.id));
+        for (const rec of purged) {
+            PlaybackPositions.clear(rec.id);
+            if (this.unsavedBlobs.has(rec.id)) {
+                this.unsavedBlobs.delete(rec.id);
+                continue;
+            }
+            try {
+                await RecordingStore.deleteRecording(rec.id);
+            } catch (e) {
+                console.error('Failed to delete recording:', e);
+            }
+        }
+        this.updateTrashButton();
+    }
+
+    purgeExpiredTrash() {
+        const cutoff = Date.now() - AppSettings.get('trashRetentionDays') * 24 * 60 * 60 * 1000;
+        const expired = this.trash.filter(rec => rec.deletedAt < cutoff);
+        return this.purgeRecordings(expired.map(rec => rec.id));
+    }
+
+    updateTrashButton() {
+        this.trashButton.textContent = `\u{1F5D1} Trash${this.trash.length > 0 ? ` (${this.trash.length})` : ''}`;
+    }
+
+    renderRawRecordings() {
+        this.renderList('raw');
+    }
+
+    renderAIRecordings() {
+        this.renderList('improved');
+    }
+
+    // Filters and sorts one list, then hands its rows (date headers and
+    // recordings) to the virtual list so only the visible ones hit the DOM
+    renderList(type) {
+        const virtualList = this.virtualLists[type];
+        const all = this.recordings[type];
+        const recordings = this.filter.apply(all, this.folderMatcher());
+        this.folderTree.render();
+        this.updateTrashButton();
+        this.bulkActions.render();
+
+        if (recordings.length === 0) {
+            virtualList.showEmpty(this.emptyStateHtml(type, all.length > 0));
+            return;
+        }
+
+        const rows = [];
+        if (this.filter.groupsByDate()) {
+            // Group recordings by date
+            let currentDate = null;
+            recordings.forEach(rec => {
+                const date = this.dateGroupLabel(rec);
+                if (date !== currentDate) {
+                    rows.push({ kind: 'header', date });
+                    currentDate = date;
+                }
+                rows.push({ kind: 'item', rec });
+            });
+        } else {
+            recordings.forEach(rec => rows.push({ kind: 'item', rec }));
+        }
+        virtualList.setRows(rows);
+    }
+
+    // Ids in the order the list shows them
+    visibleIds(type) {
+        return this.filter.apply(this.recordings[type], this.folderMatcher()).map(rec => rec.id);
+    }
+
+    // Arrow keys walk through the recordings, the raw list first and then the improved one
+    moveActiveRow(step) {
+        const rows = ['raw', 'improved'].flatMap(type => this.visibleIds(type).map(id => ({ id, type })));
+        if (rows.length === 0) return false;
+        const index = this.activeRow ? rows.findIndex(row => row.id === this.activeRow.id) : -1;
+        const next = index < 0
+            ? (step > 0 ? 0 : rows.length - 1)
+            : Math.max(0, Math.min(rows.length - 1, index + step));
+        this.activeRow = rows[next];
+
+        const virtualList = this.virtualLists[this.activeRow.type];
+        const rowIndex = virtualList.rows.findIndex(row => row.kind === 'item' && row.rec.id === this.activeRow.id);
+        if (rowIndex >= 0) virtualList.scrollToRow(rowIndex);
+        Object.values(this.virtualLists).forEach(list => list.refresh());
+    }
+
+    // The active row, if it is still in the lists
+    activeRecording() {
+        if (!this.activeRow) return null;
+        return this.recordings[this.activeRow.type].find(rec => rec.id === this.activeRow.id) || null;
+    }
+
+    playActiveRow() {
+        const recording = this.activeRecording();
+        if (!recording) return false;
+        this.playRecording(recording.id, recording.type);
+    }
+
+    renameActiveRow() {
+        const recording = this.activeRecording();
+        const title = recording && document.querySelector(`.recording-item[data-id="${CSS.escape(recording.id)}"] .title`);
+        if (!title) return false;
+        this.startRename(title, recording.type);
+    }
+
+    trashActiveRow() {
+        if (this.bulkActions.selected.size > 0) {
+            this.trashRecordings(Array.from(this.bulkActions.selected));
+            return;
+        }
+        const recording = this.activeRecording();
+        if (!recording) return false;
+        // Stay on the same spot in the list
+        this.moveActiveRow(1);
+        if (this.activeRow.id === recording.id) this.moveActiveRow(-1);
+        if (this.activeRow.id === recording.id) this.activeRow = null;
+        this.trashRecordings([recording.id]);
+    }
+
+    dateGroupLabel(rec) {
+        return new Date(rec.timestamp).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    // Queues the recordings of one date group, as currently filtered and sorted
+    playDateGroup(date, type) {
+        const ids = this.filter.apply(this.recordings[type], this.folderMatcher())
+            .filter(rec => this.dateGroupLabel(rec) === date)
+            .map(rec => rec.id);
+        audioPlayer.playAll(ids);
+    }
+
+    emptyStateHtml(type, filteredOut) {
+        if (filteredOut && this.filter.isActive()) {
+            return `
+                <div class="empty-state">
+                    <p>No recordings match your filters</p>
+                    <small>Clear the search or filters to see all recordings</small>
+                </div>
+            `;
+        }
+        if (filteredOut) {
+            return `
+                <div class="empty-state">
+                    <p>No recordings in this folder</p>
+                    <small>Drag recordings onto a folder in the sidebar to move them</small>
+                </div>
+            `;
+        }
+        if (type === 'raw') {
+            return `
+                <div class="empty-state">
+                    <p>No recordings yet</p>
+                    <small>Click the microphone to start recording</small>
+                </div>
+            `;
+        }
+        return `
+            <div class="empty-state">
+                <p>No AI improved recordings yet</p>
+                <small>Raw recordings can be improved using AI</small>
+            </div>
+        `;
+    }
+
+    static ROW_HEIGHTS = { header: 40, item: 62 };
+
+    renderRow(row, type) {
+        if (row.kind === 'header') {
+            const dateHeader = document.createElement('h3');
+            dateHeader.innerHTML = `
+                <span>${escapeHtml(row.date)}</span>
+                <button class="play-group-btn" data-date="${escapeHtml(row.date)}" data-type="${type}" title="Play all recordings from this day">&#9658; Play all</button>
+            `;
+            return dateHeader;
+        }
+
+        const rec = row.rec;
+        const item = document.createElement('div');
+        item.className = 'recording-item';
+        item.draggable = true;
+        if (audioPlayer && audioPlayer.currentRecordingId === rec.id) {
+            item.classList.add('playing');
+        }
+        item.dataset.id = rec.id;
+        item.dataset.type = type;
+        const selected = this.bulkActions.isSelected(rec.id);
+        item.classList.toggle('selected', selected);
+        item.classList.toggle('active', !!this.activeRow && this.activeRow.id === rec.id);
+        const improving = this.improvingIds.has(rec.id);
+        const id = escapeHtml(rec.id);
+        item.innerHTML = `
+            <input type="checkbox" class="select-box" data-id="${id}" data-type="${type}" title="Select (Shift-click to select a range)"${selected ? ' checked' : ''}>
+            <div class="name">
+              <span class="title">${escapeHtml(rec.name)}</span>
+              <span class="duration">(${escapeHtml(rec.duration)})</span>
+              ${(rec.tags || []).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}
+              ${rec.unsaved ? '<span class="unsaved-badge" title="Not saved to browser storage - download it to keep it">&#9888;</span>' : ''}
+              ${rec.clippedSamples > 0 ? `<span class="clipped-badge" title="${rec.clippedSamples.toLocaleString()} clipped samples">CLIP</span>` : ''}
+              ${rec.mergedFrom ? `<span class="merged-badge" title="Merged from: ${escapeHtml(rec.mergedFrom.map(source => source.name).join(', '))}">&#x1F517;</span>` : ''}
+            </div>
+            <canvas class="mini-waveform"></canvas>
+            <div class="controls">
+                <button class="play-btn" data-id="${id}" data-type="${type}">&#9658;</button>
+                <button class="download-btn" data-id="${id}" data-type="${type}">&#x1F4BE;</button>
+                <button class="edit-btn" data-id="${id}" data-type="${type}" title="Edit (trim, cut, fade)">&#x2702;&#xFE0F;</button>
+                <button class="details-btn" data-id="${id}" data-type="${type}" title="Details: folder, tags and notes">&#x1F4DD;</button>
+                ${type === 'raw' ? `<button class="improve-btn" data-id="${id}" data-type="raw" title="Improve (noise reduction, normalization, silence trim)"${improving ? ' disabled' : ''}>${improving ? '⏳' : '✨'}</button>` : ''}
+                <button class="delete-btn" data-id="${id}" data-type="${type}">&#x1F5D1;</button>
+            </div>
+        `;
+        return item;
+    }
+
+    // Row actions are delegated from the list containers, since rows are
+    // created and discarded as the virtual list scrolls
+    setupEventListeners() {
+        [this.rawRecordingsList, this.aiImprovedList].forEach(list => {
+            list.addEventListener('click', (e) => {
+                const groupButton = e.target.closest('.play-group-btn');
+                if (groupButton) {
+                    this.playDateGroup(groupButton.dataset.date, groupButton.dataset.type);
+                    return;
+                }
+                const checkbox = e.target.closest('.select-box');
+                if (checkbox) {
+                    this.bulkActions.toggle(checkbox.dataset.id, checkbox.dataset.type, { range: e.shiftKey });
+                    return;
+                }
+                // Shift-click anywhere else on a row extends the selection to it
+                const row = e.target.closest('.recording-item');
+                if (row && e.shiftKey && !e.target.closest('button, input')) {
+                    this.bulkActions.toggle(row.dataset.id, row.dataset.type, { range: true });
+                    return;
+                }
+                const button = e.target.closest('button[data-id]');
+                if (!button || button.disabled) return;
+                const id = button.dataset.id;
+                const type = button.dataset.type;
+
+                if (button.classList.contains('play-btn')) {
+                    this.playRecording(id, type);
+                } else if (button.classList.contains('download-btn')) {
+                    this.downloadRecording(id, type);
+                } else if (button.classList.contains('edit-btn')) {
+                    this.editRecording(id, type);
+                } else if (button.classList.contains('details-btn')) {
+                    this.editDetails(id, type);
+                } else if (button.classList.contains('improve-btn')) {
+                    // Improve buttons (only on raw recordings)
+                    this.improveRecording(id, type);
+                } else if (button.classList.contains('delete-btn')) {
+                    this.trashRecordings([id]);
+                }
+            });
+
+            // Double-click to rename
+            list.addEventListener('dblclick', (e) => {
+                const titleSpan = e.target.closest('.recording-item .title');
+                if (titleSpan) {
+                    const type = titleSpan.closest('.recording-item').dataset.type;
+                    this.startRename(titleSpan, type);
+                }
+            });
+
+            // Recordings are dragged onto folders in the sidebar to move them
+            list.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('.recording-item');
+                if (!item) return;
+                e.dataTransfer.setData(FolderTree.RECORDING_DRAG_TYPE, item.dataset.id);
+                e.dataTransfer.effectAllowed = 'move';
+            });
+        });
+    }
+
+    async playRecording(id, type, { fromQueue = false } = {}) {
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        if (recording) {
+            if (!fromQueue) {
+                // A queue of one, so repeat still works
+                audioPlayer.queue.set([id]);
+            }
+            const blob = await this.getBlob(recording);
+            if (!blob) {
+                alert(`The audio for "${recording.name}" could not be found.`);
+                return;
+            }
+            const recordingElement = document.querySelector(`.recording-item[data-id="${id}"]`);
+            audioPlayer.play(recording, recordingElement, blob);
+        }
+    }
+
+
+    downloadRecording(id, type) {
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        if (recording) {
+            exportDialog.open(recording);
+        }
+    }
+
+    editRecording(id, type) {
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        if (recording) {
+            recordingEditor.open(recording);
+        }
+    }
+
+    // Saves the recording exactly as it was captured, in its original container
+    async downloadOriginal(recording) {
+        const blob = await this.getBlob(recording);
+        if (!blob) {
+            alert(`The audio for "${recording.name}" could not be found.`);
+            return;
+        }
+        const extension = extensionForMimeType(recording.mimeType || blob.type);
+        triggerDownload(blob, `${recording.name}.${extension}`);
+    }
+
+    // Re-encodes the recording as WAV or MP3 and downloads it.
+    // options: { format: 'wav' | 'mp3' | 'original', bitDepth, bitrate, sampleRate, channelCount }
+    async exportRecording(recording, options, onProgress) {
+        if (options.format === 'original') {
+            return this.downloadOriginal(recording);
+        }
+
+        const blob = await this.getBlob(recording);
+        if (!blob) {
+            throw new Error(`The audio for "${recording.name}" could not be found.`);
+        }
+        const audioBuffer = await decodeAudioBlob(blob, options.sampleRate);
+        const encoded = await AudioExporter.encode(audioBuffer, options, onProgress);
+        triggerDownload(encoded, `${recording.name}.${options.format}`);
+    }
+
+    async improveRecording(id, type) {
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        if (!recording || this.improvingIds.has(id)) return;
+
+        this.improvingIds.add(id);
+        this.renderRawRecordings();
+
+        try {
+            const blob = await this.getBlob(recording);
+            const enhancer = new AudioEnhancer();
+            const improvedBuffer = await enhancer.process(blob);
+            const improvedBlob = await AudioExporter.encode(improvedBuffer, { format: 'wav', bitDepth: 16 });
+
+            await this.addRecording(improvedBlob, improvedBuffer.duration, 'improved', {
+                id: generateId('imp'),
+                name: `${recording.name} (Improved)`,
+                originalId: recording.id,
+                improvedAt: Date.now(),
+                folderId: recording.folderId,
+                tags: recording.tags,
+                peaks: resamplePeaks(computePeaks(improvedBuffer, PEAK_COUNT))
+            });
+        } catch (e) {
+            console.error('Failed to improve recording:', e);
+            alert(`"${recording.name}" could not be improved. The audio may be damaged or in an unsupported format.`);
+        } finally {
+            this.improvingIds.delete(id);
+            this.renderRawRecordings();
+        }
+    }
+
+    editDetails(id, type) {
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        if (recording) {
+            detailsDialog.open(recording);
+        }
+    }
+
+    allRecordings() {
+        return [...this.recordings.raw, ...this.recordings.improved];
+    }
+
+    findRecording(id) {
+        return this.allRecordings().find(rec => rec.id === id);
+    }
+
+    // Adds a recording whose metadata is already complete (e.g. from a backup), keeping its id
+    async importRecording(metadata, blob) {
+        await RecordingStore.saveRecording(metadata, blob);
+        this.recordings[metadata.type].push(metadata);
+    }
+
+    sortRecordings() {
+        this.recordings.raw.sort((a, b) => b.timestamp - a.timestamp);
+        this.recordings.improved.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Saves metadata changes for recordings that are in IndexedDB
+    persistMetadata(recordings) {
+        const stored = recordings.filter(rec => !this.unsavedBlobs.has(rec.id));
+        return RecordingStore.saveMetadata(stored).catch(e => {
+            console.error('Failed to save recording details:', e);
+            this.reportStorageError(e, 'Your changes could not be saved.');
+        });
+    }
+
+    renderAll() {
+        this.renderRawRecordings();
+        this.renderAIRecordings();
+    }
+
+    async updateDetails(recording, { name, folderId, tags, notes }) {
+        recording.name = name;
+        recording.tags = normalizeTags(tags);
+        if (folderId) {
+            recording.folderId = folderId;
+        } else {
+            delete recording.folderId;
+        }
+        if (notes.trim()) {
+            recording.notes = notes;
+        } else {
+            delete recording.notes;
+        }
+        await this.persistMetadata([recording]);
+        this.renderAll();
+    }
+
+    // All tags in the library with how many recordings use them, keyed by lower case
+    tagCounts() {
+        const counts = new Map();
+        this.allRecordings().forEach(rec => {
+            (rec.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { name: tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            });
+        });
+        return counts;
+    }
+
+    getFolder(id) {
+        return this.folders.find(folder => folder.id === id);
+    }
+
+    childFolders(parentId) {
+        return this.folders
+            .filter(folder => (folder.parentId || null) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    // The folder and everything nested below it
+    folderAndDescendants(folderId) {
+        const ids = new Set([folderId]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            this.folders.forEach(folder => {
+                if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+                    ids.add(folder.id);
+                    grew = true;
+                }
+            });
+        }
+        return ids;
+    }
+
+    // Predicate for the folder selected in the sidebar (subfolders included), or null for all
+    folderMatcher() {
+        const folderId = this.filter.state.folderId;
+        if (folderId === LibraryFilter.UNFILED) {
+            return rec => !rec.folderId || !this.getFolder(rec.folderId);
+        }
+        if (!this.getFolder(folderId)) {
+            return null;
+        }
+        const ids = this.folderAndDescendants(folderId);
+        return rec => ids.has(rec.folderId);
+    }
+
+    async createFolder(parentId = null) {
+        const folder = {
+            id: generateId('folder'),
+            name: 'New folder',
+            parentId,
+            createdAt: Date.now()
+        };
+        try {
+            await RecordingStore.saveFolders([folder]);
+        } catch (e) {
+            console.error('Failed to create folder:', e);
+            this.reportStorageError(e, 'The folder could not be created.');
+            return null;
+        }
+        this.folders.push(folder);
+        this.folderTree.render();
+        return folder;
+    }
+
+    async renameFolder(id, name) {
+        const folder = this.getFolder(id);
+        if (!folder || !name || name === folder.name) return;
+        folder.name = name;
+        try {
+            await RecordingStore.saveFolders([folder]);
+        } catch (e) {
+            console.error('Failed to rename folder:', e);
+            this.reportStorageError(e, 'The folder could not be renamed.');
+        }
+        this.folderTree.render();
+    }
+
+    async moveFolder(id, parentId) {
+        const folder = this.getFolder(id);
+        // A folder can't be moved into itself or one of its own subfolders
+        if (!folder || (parentId && this.folderAndDescendants(id).has(parentId))) return;
+        if ((folder.parentId || null) === parentId) return;
+        folder.parentId = parentId;
+        try {
+            await RecordingStore.saveFolders([folder]);
+        } catch (e) {
+            console.error('Failed to move folder:', e);
+            this.reportStorageError(e, 'The folder could not be moved.');
+        }
+        this.renderAll();
+    }
+
+    // Deleting a folder keeps its contents: recordings and subfolders move up to its parent
+    async deleteFolder(id) {
+        const folder = this.getFolder(id);
+        if (!folder) return;
+        const parent = this.getFolder(folder.parentId);
+        const destination = parent ? `"${parent.name}"` : 'the top level';
+        if (!confirm(`Delete the folder "${folder.name}"? Its recordings and subfolders will move to ${destination}.`)) {
+            return;
+        }
+
+        const parentId = parent ? parent.id : null;
+        const children = this.folders.filter(f => f.parentId === id);
+        children.forEach(child => {
+            child.parentId = parentId;
+        });
+        const contents = this.allRecordings().filter(rec => rec.folderId === id);
+        contents.forEach(rec => {
+            if (parentId) {
+                rec.folderId = parentId;
+            } else {
+                delete rec.folderId;
+            }
+        });
+        this.folders = this.folders.filter(f => f.id !== id);
+
+        try {
+            await RecordingStore.saveFolders(children);
+            await RecordingStore.deleteFolder(id);
+        } catch (e) {
+            console.error('Failed to delete folder:', e);
+            this.reportStorageError(e, 'The folder could not be deleted.');
+        }
+        await this.persistMetadata(contents);
+
+        if (this.filter.state.folderId === id) {
+            this.filter.set('folderId', parentId || '');
+        } else {
+            this.renderAll();
+        }
+    }
+
+    // folderId null moves the recordings out of any folder
+    async moveRecordings(ids, folderId) {
+        const idSet = new Set(ids);
+        const moved = this.allRecordings().filter(rec => idSet.has(rec.id) && (rec.folderId || null) !== folderId);
+        if (moved.length === 0) return;
+        moved.forEach(rec => {
+            if (folderId) {
+                rec.folderId = folderId;
+            } else {
+                delete rec.folderId;
+            }
+        });
+        await this.persistMetadata(moved);
+        this.renderAll();
+    }
+
+    startRename(titleElement, type) {
+        const id = titleElement.closest('.recording-item').dataset.id;
+        const recording = this.recordings[type].find(rec => rec.id === id);
+        const currentName = recording.name;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = currentName;
+        input.className = 'rename-input';
+        
+        titleElement.style.display = 'none';
+        titleElement.parentNode.insertBefore(input, titleElement);
+    
+        input.focus();
+        input.select();
+    
+        const finishRename = () => {
+            const newName = input.value.trim();
+            if (newName && newName !== currentName) {
+                recording.name = newName;
+                this.saveRecordings(type);
+            }
+            if (type === 'raw') {
+                this.renderRawRecordings();
+            } else {
+                this.renderAIRecordings();
+            }
+        };
+    
+        input.addEventListener('blur', finishRename);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finishRename();
+            }
+        });
+    }
+    
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+    }
+}
+
+// FolderTree Class: The sidebar with the folder tree and tag filters. Selecting a folder
+// or tag filters the lists, and recordings or folders can be dropped onto a folder to move them.
+class FolderTree {
+    static RECORDING_DRAG_TYPE = 'application/x-recording-id';
+    static FOLDER_DRAG_TYPE = 'application/x-folder-id';
+
+    constructor(library) {
+        this.library = library;
+        this.container = document.getElementById('folderTree');
+        this.renaming = false;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('dblclick', (e) => {
+            const name = e.target.closest('.folder-name');
+            const node = name && name.closest('.folder-node');
+            if (node && this.library.getFolder(node.dataset.folderId)) {
+                this.startRename(node.dataset.folderId);
+            }
+        });
+        this.container.addEventListener('dragstart', (e) => {
+            const node = e.target.closest('.folder-node[draggable="true"]');
+            if (!node) return;
+            e.dataTransfer.setData(FolderTree.FOLDER_DRAG_TYPE, node.dataset.folderId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        this.container.addEventListener('dragover', (e) => {
+            const node = this.dropTarget(e);
+            if (!node) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            node.classList.add('drop-target');
+        });
+        this.container.addEventListener('dragleave', (e) => {
+            const node = e.target.closest('.folder-node');
+            if (node && !node.contains(e.relatedTarget)) {
+                node.classList.remove('drop-target');
+            }
+        });
+        this.container.addEventListener('drop', (e) => {
+            const node = this.dropTarget(e);
+            if (!node) return;
+            e.preventDefault();
+            node.classList.remove('drop-target');
+            const folderId = this.folderIdForNode(node);
+            const recordingId = e.dataTransfer.getData(FolderTree.RECORDING_DRAG_TYPE);
+            const draggedFolderId = e.dataTransfer.getData(FolderTree.FOLDER_DRAG_TYPE);
+            if (recordingId) {
+                this.library.moveRecordings([recordingId], folderId);
+            } else if (draggedFolderId) {
+                this.library.moveFolder(draggedFolderId, folderId);
+            }
+        });
+    }
+
+    // "All recordings" isn't a place a recording can be moved to
+    dropTarget(e) {
+        const types = Array.from(e.dataTransfer.types);
+        if (!types.includes(FolderTree.RECORDING_DRAG_TYPE) && !types.includes(FolderTree.FOLDER_DRAG_TYPE)) {
+            return null;
+        }
+        const node = e.target.closest('.folder-node');
+        return node && node.dataset.folderId !== '' ? node : null;
+    }
+
+    // Unfiled moves recordings (and folders) to the top level
+    folderIdForNode(node) {
+        const id = node.dataset.folderId;
+        return id === LibraryFilter.UNFILED ? null : id;
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('button');
+        if (button && button.classList.contains('new-folder-btn')) {
+            const folder = await this.library.createFolder(null);
+            if (folder) this.startRename(folder.id);
+            return;
+        }
+
+        const tag = e.target.closest('.tag-filter');
+        if (tag) {
+            this.library.filter.toggleTag(tag.dataset.tag);
+            return;
+        }
+
+        const node = e.target.closest('.folder-node');
+        if (!node) return;
+        const folderId = node.dataset.folderId;
+
+        if (button && button.classList.contains('add-subfolder-btn')) {
+            const folder = await this.library.createFolder(folderId);
+            if (folder) this.startRename(folder.id);
+        } else if (button && button.classList.contains('delete-folder-btn')) {
+            this.library.deleteFolder(folderId);
+        } else if (!e.target.closest('.rename-input') && folderId !== this.library.filter.state.folderId) {
+            this.library.filter.set('folderId', folderId);
+        }
+    }
+
+    render() {
+        // Don't throw away a folder name that is being typed
+        if (this.renaming) return;
+
+        const library = this.library;
+        const { folderId } = library.filter.state;
+        const selected = folderId === LibraryFilter.UNFILED || library.getFolder(folderId) ? folderId : '';
+        const recordings = library.allRecordings();
+
+        const directCounts = new Map();
+        let unfiled = 0;
+        recordings.forEach(rec => {
+            if (rec.folderId && library.getFolder(rec.folderId)) {
+                directCounts.set(rec.folderId, (directCounts.get(rec.folderId) || 0) + 1);
+            } else {
+                unfiled++;
+            }
+        });
+
+        const nodeHtml = (id, label, count, extra = '') => `
+            <div class="folder-node${id === selected ? ' selected' : ''}" data-folder-id="${id}"${extra}>
+                ${label}
+                <span class="count">${count}</span>
+            </div>`;
+
+        const folderHtml = (parentId) => {
+            const children = library.childFolders(parentId);
+            if (children.length === 0) return '';
+            return `<ul>${children.map(folder => {
+                let count = 0;
+                library.folderAndDescendants(folder.id).forEach(id => {
+                    count += directCounts.get(id) || 0;
+                });
+                const label = `
+                    <span class="folder-name">&#x1F4C1; ${escapeHtml(folder.name)}</span>
+                    <span class="folder-actions">
+                        <button class="add-subfolder-btn" title="New subfolder">+</button>
+                        <button class="delete-folder-btn" title="Delete folder">&#x1F5D1;</button>
+                    </span>`;
+                return `<li>${nodeHtml(folder.id, label, count, ' draggable="true"')}${folderHtml(folder.id)}</li>`;
+            }).join('')}</ul>`;
+        };
+
+        const activeTags = library.filter.state.tags;
+        const tags = Array.from(library.tagCounts().entries())
+            .sort((a, b) => a[1].name.localeCompare(b[1].name));
+
+        this.container.innerHTML = `
+            <div class="folder-tree-header">
+                <span>Folders</span>
+                <button class="new-folder-btn" title="New folder">+</button>
+            </div>
+            <ul class="folder-root">
+                <li>${nodeHtml('', '<span class="folder-name">All recordings</span>', recordings.length)}</li>
+                <li>${nodeHtml(LibraryFilter.UNFILED, '<span class="folder-name">Unfiled</span>', unfiled)}</li>
+            </ul>
+            ${folderHtml(null)}
+            <div class="folder-tree-header"><span>Tags</span></div>
+            <div class="tag-filters">
+                ${tags.length === 0 ? '<small>No tags yet</small>' : tags.map(([key, { name, count }]) => `
+                    <button class="tag-chip tag-filter${activeTags.includes(key) ? ' active' : ''}" data-tag="${escapeHtml(key)}">
+                        ${escapeHtml(name)} <span class="count">${count}</span>
+                    </button>`).join('')}
+            </div>
+        `;
+    }
+
+    startRename(folderId) {
+        const folder = this.library.getFolder(folderId);
+        const nameSpan = this.container.querySelector(`.folder-node[data-folder-id="${folderId}"] .folder-name`);
+        if (!folder || !nameSpan) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = folder.name;
+        input.className = 'rename-input';
+        nameSpan.replaceWith(input);
+        this.renaming = true;
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            this.renaming = false;
+            const name = input.value.trim();
+            if (save && name) {
+                this.library.renameFolder(folderId, name);
+            } else {
+                this.render();
+            }
+        };
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+    }
+}
+
+// RecordingDetailsDialog Class: Edits a recording's name, folder, tags and markdown notes
+class RecordingDetailsDialog {
+    constructor(library) {
+        this.library = library;
+        this.recording = null;
+
+        this.dialog = document.getElementById('detailsDialog');
+        this.form = document.getElementById('detailsForm');
+        this.nameInput = document.getElementById('detailsName');
+        this.folderSelect = document.getElementById('detailsFolder');
+        this.tagsInput = document.getElementById('detailsTags');
+        this.tagSuggestions = document.getElementById('detailsTagSuggestions');
+        this.notesInput = document.getElementById('detailsNotes');
+        this.notesPreview = document.getElementById('detailsNotesRendered');
+        this.writeTab = document.getElementById('detailsNotesWrite');
+        this.previewTab = document.getElementById('detailsNotesPreview');
+        this.sources = document.getElementById('detailsSources');
+
+        this.writeTab.addEventListener('click', () => this.showNotes('write'));
+        this.previewTab.addEventListener('click', () => this.showNotes('preview'));
+        this.tagSuggestions.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) this.addTag(chip.dataset.tag);
+        });
+        document.getElementById('detailsCancel').addEventListener('click', () => this.close());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+    }
+
+    open(recording) {
+        this.recording = recording;
+        this.nameInput.value = recording.name;
+        this.tagsInput.value = (recording.tags || []).join(', ');
+        this.notesInput.value = recording.notes || '';
+        this.populateFolders(recording.folderId);
+        this.populateTagSuggestions();
+        this.renderSources(recording.mergedFrom);
+        // Existing notes open rendered; empty ones open ready for typing
+        this.showNotes(recording.notes ? 'preview' : 'write');
+        this.dialog.showModal();
+    }
+
+    close() {
+        this.dialog.close();
+        this.recording = null;
+    }
+
+    // Merged recordings list what they were made from, in order
+    renderSources(mergedFrom) {
+        this.sources.style.display = mergedFrom ? '' : 'none';
+        if (!mergedFrom) return;
+        this.sources.innerHTML = `Merged from: ${mergedFrom.map((source, i) => `${i + 1}. ${escapeHtml(source.name)}`).join(', ')}`;
+    }
+
+    populateFolders(selectedId) {
+        this.folderSelect.innerHTML = '';
+        this.folderSelect.add(new Option('No folder', ''));
+        const addFolders = (parentId, depth) => {
+            this.library.childFolders(parentId).forEach(folder => {
+                this.folderSelect.add(new Option(`${'\u00a0\u00a0'.repeat(depth)}${folder.name}`, folder.id));
+                addFolders(folder.id, depth + 1);
+            });
+        };
+        addFolders(null, 0);
+        this.folderSelect.value = this.library.getFolder(selectedId) ? selectedId : '';
+    }
+
+    populateTagSuggestions() {
+        const tags = Array.from(this.library.tagCounts().values()).map(entry => entry.name).sort();
+        this.tagSuggestions.innerHTML = tags
+            .map(tag => `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`)
+            .join('');
+    }
+
+    parseTags() {
+        return normalizeTags(this.tagsInput.value.split(','));
+    }
+
+    addTag(tag) {
+        this.tagsInput.value = normalizeTags([...this.parseTags(), tag]).join(', ');
+    }
+
+    showNotes(mode) {
+        const preview = mode === 'preview';
+        if (preview) {
+            this.notesPreview.innerHTML = this.notesInput.value.trim()
+                ? renderMarkdown(this.notesInput.value)
+                : '<p class="settings-hint">Nothing to preview</p>';
+        }
+        this.notesInput.style.display = preview ? 'none' : '';
+        this.notesPreview.style.display = preview ? '' : 'none';
+        this.writeTab.classList.toggle('active', !preview);
+        this.previewTab.classList.toggle('active', preview);
+    }
+
+    async save() {
+        if (!this.recording) return;
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+        await this.library.updateDetails(this.recording, {
+            name,
+            folderId: this.folderSelect.value,
+            tags: this.parseTags(),
+            notes: this.notesInput.value
+        });
+        this.close();
+    }
+}
+
+// BulkActions Class: Multi-select in the recording lists (checkboxes, and Shift-click for a
+// range) and the actions that apply to every selected recording
+class BulkActions {
+    constructor(library) {
+        this.library = library;
+        this.selected = new Set();
+        // Where a Shift-click range starts: the last recording clicked without Shift
+        this.anchor = null;
+        this.busy = false;
+
+        this.bar = document.getElementById('bulkActions');
+        this.count = document.getElementById('bulkCount');
+        this.status = document.getElementById('bulkStatus');
+        this.tagInput = document.getElementById('bulkTagInput');
+        this.moveSelect = document.getElementById('bulkMoveFolder');
+        this.buttons = {
+            selectAll: document.getElementById('bulkSelectAllBtn'),
+            clear: document.getElementById('bulkClearBtn'),
+            delete: document.getElementById('bulkDeleteBtn'),
+            download: document.getElementById('bulkDownloadBtn'),
+            improve: document.getElementById('bulkImproveBtn'),
+            tag: document.getElementById('bulkTagBtn'),
+            merge: document.getElementById('bulkMergeBtn')
+        };
+
+        this.buttons.selectAll.addEventListener('click', () => this.selectAll());
+        this.buttons.clear.addEventListener('click', () => this.clear());
+        this.buttons.delete.addEventListener('click', () => this.library.trashRecordings(Array.from(this.selected)));
+        this.buttons.download.addEventListener('click', () => this.run(() => this.downloadSelected()));
+        this.buttons.improve.addEventListener('click', () => this.run(() => this.improveSelected()));
+        this.buttons.merge.addEventListener('click', () => this.mergeSelected());
+        this.buttons.tag.addEventListener('click', () => this.tagSelected());
+        this.tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.tagSelected();
+            }
+        });
+        this.moveSelect.addEventListener('change', () => {
+            const value = this.moveSelect.value;
+            this.moveSelect.value = '';
+            if (value) {
+                this.library.moveRecordings(Array.from(this.selected), value === 'none' ? null : value);
+            }
+        });
+    }
+
+    isSelected(id) {
+        return this.selected.has(id);
+    }
+
+    // Ids in the order the list shows them, so a range matches what the user sees
+    visibleIds(type) {
+        return this.library.visibleIds(type);
+    }
+
+    toggle(id, type, { range = false } = {}) {
+        if (range && this.anchor && this.anchor.type === type) {
+            const ids = this.visibleIds(type);
+            const from = ids.indexOf(this.anchor.id);
+            const to = ids.indexOf(id);
+            if (from >= 0 && to >= 0) {
+                ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(rangeId => this.selected.add(rangeId));
+                this.refresh();
+                return;
+            }
+        }
+        if (this.selected.has(id)) {
+            this.selected.delete(id);
+        } else {
+            this.selected.add(id);
+        }
+        this.anchor = { id, type };
+        this.refresh();
+    }
+
+    selectAll() {
+        [...this.visibleIds('raw'), ...this.visibleIds('improved')].forEach(id => this.selected.add(id));
+        this.refresh();
+    }
+
+    clear() {
+        this.selected.clear();
+        this.anchor = null;
+        this.refresh();
+    }
+
+    deselect(ids) {
+        ids.forEach(id => this.selected.delete(id));
+    }
+
+    selectedRecordings() {
+        return this.library.allRecordings().filter(rec => this.selected.has(rec.id));
+    }
+
+    // Updates the rows on screen without rebuilding the lists
+    refresh() {
+        document.querySelectorAll('.recording-item[data-id]').forEach(item => {
+            const selected = this.selected.has(item.dataset.id);
+            item.classList.toggle('selected', selected);
+            const checkbox = item.querySelector('.select-box');
+            if (checkbox) checkbox.checked = selected;
+        });
+        this.render();
+    }
+
+    render() {
+        // Recordings deleted or filtered away elsewhere drop out of the selection
+        const present = new Set(this.library.allRecordings().map(rec => rec.id));
+        this.selected.forEach(id => {
+            if (!present.has(id)) this.selected.delete(id);
+        });
+
+        const count = this.selected.size;
+        this.bar.style.display = count > 0 ? 'flex' : 'none';
+        if (count === 0) return;
+        this.count.textContent = `${count} selected`;
+        const recordings = this.selectedRecordings();
+        Object.values(this.buttons).forEach(button => {
+            button.disabled = this.busy;
+        });
+        this.buttons.selectAll.disabled = false;
+        this.buttons.clear.disabled = this.busy;
+        this.buttons.improve.disabled = this.busy || !recordings.some(rec => rec.type === 'raw');
+        this.buttons.merge.disabled = this.busy || count < 2;
+        this.moveSelect.disabled = this.busy;
+        this.populateFolders();
+    }
+
+    populateFolders() {
+        this.moveSelect.innerHTML = '';
+        this.moveSelect.add(new Option('Move to folder...', ''));
+        this.moveSelect.add(new Option('No folder', 'none'));
+        const addFolders = (parentId, depth) => {
+            this.library.childFolders(parentId).forEach(folder => {
+                this.moveSelect.add(new Option(`${'\u00a0\u00a0'.repeat(depth)}${folder.name}`, folder.id));
+                addFolders(folder.id, depth + 1);
+            });
+        };
+        addFolders(null, 0);
+    }
+
+    // Runs one long action at a time and reports failures in the bar
+    async run(action) {
+        if (this.busy) return;
+        this.busy = true;
+        this.render();
+        try {
+            await action();
+        } catch (e) {
+            console.error('Bulk action failed:', e);
+            this.status.textContent = `Failed: ${e.message}`;
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+
+    async downloadSelected() {
+        const recordings = this.selectedRecordings();
+        const used = new Set();
+        const files = [];
+        for (let i = 0; i < recordings.length; i++) {
+            const recording = recordings[i];
+            this.status.textContent = `Collecting audio... ${i + 1}/${recordings.length}`;
+            const blob = await this.library.getBlob(recording);
+            if (!blob) continue;
+            files.push({
+                name: BulkActions.uniqueFileName(recording, blob, used),
+                blob,
+                lastModified: recording.timestamp
+            });
+        }
+        const archive = await ZipArchive.create(files, (progress) => {
+            this.status.textContent = `Writing archive... ${Math.round(progress * 100)}%`;
+        });
+        triggerDownload(archive, `recordings-${new Date().toISOString().slice(0, 10)}.zip`);
+        this.status.textContent = `Downloaded ${files.length} recording${files.length === 1 ? '' : 's'}.`;
+    }
+
+    // A file name for the archive that is safe on every system and not already taken
+    static uniqueFileName(recording, blob, used) {
+        const base = recording.name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'Recording';
+        const extension = extensionForMimeType(recording.mimeType || blob.type);
+        let name = `${base}.${extension}`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base} (${n}).${extension}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    async improveSelected() {
+        const raw = this.selectedRecordings().filter(rec => rec.type === 'raw');
+        for (let i = 0; i < raw.length; i++) {
+            this.status.textContent = `Improving ${i + 1} of ${raw.length}...`;
+            await this.library.improveRecording(raw[i].id, 'raw');
+        }
+        this.status.textContent = `Improved ${raw.length} recording${raw.length === 1 ? '' : 's'}.`;
+    }
+
+    async tagSelected() {
+        const tags = normalizeTags(this.tagInput.value.split(','));
+        if (tags.length === 0 || this.selected.size === 0) return;
+        const recordings = this.selectedRecordings();
+        recordings.forEach(rec => {
+            rec.tags = normalizeTags([...(rec.tags || []), ...tags]);
+        });
+        this.tagInput.value = '';
+        await this.library.persistMetadata(recordings);
+        this.library.renderAll();
+        this.status.textContent = `Tagged ${recordings.length} recording${recordings.length === 1 ? '' : 's'}.`;
+    }
+
+    // Opens the merge dialog with the selection in the order it is listed
+    mergeSelected() {
+        const order = [...this.visibleIds('raw'), ...this.visibleIds('improved')];
+        const recordings = this.selectedRecordings()
+            .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        mergeDialog.open(recordings);
+    }
+}
+
+// RecordingMerger Class: Joins recordings end to end into a new raw recording, with an optional
+// gap of silence or a crossfade between them. Every source is decoded at one sample rate, so
+// recordings made at different rates are resampled to match.
+class RecordingMerger {
+    static SAMPLE_RATE = 48000;
+
+    static async merge(library, recordings, { name, gapSeconds = 0, crossfadeSeconds = 0 } = {}, onStatus = () => {}) {
+        const buffers = [];
+        for (let i = 0; i < recordings.length; i++) {
+            onStatus(`Decoding ${i + 1} of ${recordings.length}...`);
+            const blob = await library.getBlob(recordings[i]);
+            if (!blob) {
+                throw new Error(`The audio for "${recordings[i].name}" could not be found.`);
+            }
+            buffers.push(await decodeAudioBlob(blob, this.SAMPLE_RATE));
+        }
+
+        onStatus('Joining...');
+        const output = this.join(buffers, { gapSeconds, crossfadeSeconds });
+
+        onStatus('Encoding...');
+        const blob = await AudioExporter.encode(output, { format: 'wav', bitDepth: 16 });
+        const first = recordings[0];
+        return library.addRecording(blob, output.duration, 'raw', {
+            name: name || `${first.name} (merged)`,
+            folderId: first.folderId,
+            tags: normalizeTags(recordings.flatMap(rec => rec.tags || [])),
+            peaks: resamplePeaks(computePeaks(output, PEAK_COUNT)),
+            mergedFrom: recordings.map(rec => ({ id: rec.id, name: rec.name }))
+        });
+    }
+
+    static join(buffers, { gapSeconds = 0, crossfadeSeconds = 0 } = {}) {
+        const numberOfChannels = Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+        const gap = Math.round(Math.max(0, gapSeconds) * this.SAMPLE_RATE);
+        // A crossfade can't be longer than either of the recordings it overlaps. A recording
+        // in the middle fades at both ends, so each of its fades gets at most half of it.
+        const fadeRoom = i => (i === 0 || i === buffers.length - 1)
+            ? buffers[i].length
+            : Math.floor(buffers[i].length / 2);
+        const overlaps = buffers.slice(1).map((buffer, i) => Math.min(
+            Math.round(Math.max(0, crossfadeSeconds) * this.SAMPLE_RATE),
+            fadeRoom(i),
+            fadeRoom(i + 1)
+        ));
+        const starts = [0];
+        for (let i = 1; i < buffers.length; i++) {
+            starts.push(starts[i - 1] + buffers[i - 1].length + gap - overlaps[i - 1]);
+        }
+        const length = starts[starts.length - 1] + buffers[buffers.length - 1].length;
+        const output = new AudioBuffer({ length: Math.max(1, length), numberOfChannels, sampleRate: this.SAMPLE_RATE });
+
+        buffers.forEach((buffer, i) => {
+            const fadeIn = i > 0 ? overlaps[i - 1] : 0;
+            const fadeOut = i < buffers.length - 1 ? overlaps[i] : 0;
+            for (let c = 0; c < numberOfChannels; c++) {
+                // Mono sources are copied to every channel of a stereo result
+                const source = buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1));
+                const target = output.getChannelData(c);
+                const offset = starts[i];
+                for (let j = 0; j < source.length; j++) {
+                    // Both fades apply, so a short recording faded at each end never jumps in level
+                    let gain = 1;
+                    if (j < fadeIn) {
+                        gain *= j / fadeIn;
+                    }
+                    if (j >= source.length - fadeOut) {
+                        gain *= (source.length - j) / fadeOut;
+                    }
+                    // Overlapping fades add up, so the crossfade keeps a constant level
+                    target[offset + j] += source[j] * gain;
+                }
+            }
+        });
+        return output;
+    }
+}
+
+// MergeDialog Class: Picks the order (drag and drop), the join and the name before merging
+class MergeDialog {
+    constructor(library) {
+        this.library = library;
+        this.recordings = [];
+        this.dragIndex = null;
+        this.busy = false;
+
+        this.dialog = document.getElementById('mergeDialog');
+        this.form = document.getElementById('mergeForm');
+        this.list = document.getElementById('mergeList');
+        this.nameInput = document.getElementById('mergeName');
+        this.joinSelect = document.getElementById('mergeJoin');
+        this.joinSeconds = document.getElementById('mergeJoinSeconds');
+        this.status = document.getElementById('mergeStatus');
+        this.submitBtn = document.getElementById('mergeSubmit');
+
+        this.joinSelect.addEventListener('change', () => this.updateJoin());
+        document.getElementById('mergeCancel').addEventListener('click', () => {
+            if (!this.busy) this.dialog.close();
+        });
+        this.dialog.addEventListener('cancel', (e) => {
+            if (this.busy) e.preventDefault();
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.merge();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+            const index = parseInt(button.dataset.index, 10);
+            this.move(index, button.classList.contains('merge-up') ? index - 1 : index + 1);
+        });
+        this.list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (!item) return;
+            this.dragIndex = parseInt(item.dataset.index, 10);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        this.list.addEventListener('dragover', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            const item = e.target.closest('li[data-index]');
+            this.list.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            if (item) item.classList.add('drop-target');
+        });
+        this.list.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('li[data-index]');
+            if (item && this.dragIndex !== null) {
+                this.move(this.dragIndex, parseInt(item.dataset.index, 10));
+            }
+            this.dragIndex = null;
+        });
+        this.list.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            this.render();
+        });
+    }
+
+    open(recordings) {
+        this.recordings = recordings.slice();
+        this.nameInput.value = `${recordings[0].name} (merged)`;
+        this.status.textContent = '';
+        this.updateJoin();
+        this.render();
+        this.dialog.showModal();
+    }
+
+    move(from, to) {
+        if (to < 0 || to >= this.recordings.length || from === to) return;
+        const [recording] = this.recordings.splice(from, 1);
+        this.recordings.splice(to, 0, recording);
+        this.render();
+    }
+
+    updateJoin() {
+        this.joinSeconds.disabled = this.joinSelect.value === 'none';
+    }
+
+    render() {
+        const last = this.recordings.length - 1;
+        this.list.innerHTML = this.recordings.map((rec, i) => `
+            <li draggable="true" data-index="${i}">
+                <span class="merge-handle" title="Drag to reorder">&#x2630;</span>
+                <span class="merge-name">${i + 1}. ${escapeHtml(rec.name)} <small>(${escapeHtml(rec.duration || '')})</small></span>
+                <button type="button" class="merge-up" data-index="${i}" title="Move up"${i === 0 ? ' disabled' : ''}>&#x25B2;</button>
+                <button type="button" class="merge-down" data-index="${i}" title="Move down"${i === last ? ' disabled' : ''}>&#x25BC;</button>
+            </li>
+        `).join('');
+    }
+
+    async merge() {
+        if (this.busy) return;
+        const seconds = Math.max(0, parseFloat(this.joinSeconds.value) || 0);
+        const join = this.joinSelect.value;
+        this.busy = true;
+        this.submitBtn.disabled = true;
+        try {
+            const merged = await RecordingMerger.merge(this.library, this.recordings, {
+                name: this.nameInput.value.trim(),
+                gapSeconds: join === 'gap' ? seconds : 0,
+                crossfadeSeconds: join === 'crossfade' ? seconds : 0
+            }, (status) => {
+                this.status.textContent = status;
+            });
+            this.library.bulkActions.clear();
+            this.dialog.close();
+            Toast.show(`Created "${merged.name}".`);
+        } catch (e) {
+            console.error('Merge failed:', e);
+            this.status.textContent = `The recordings could not be merged: ${e.message}`;
+        } finally {
+            this.busy = false;
+            this.submitBtn.disabled = false;
+        }
+    }
+}
+
+// TrashDialog Class: Lists deleted recordings, which can be restored or deleted for good
+class TrashDialog {
+    constructor(library) {
+        this.library = library;
+        this.dialog = document.getElementById('trashDialog');
+        this.list = document.getElementById('trashList');
+        this.hint = document.getElementById('trashHint');
+        this.emptyBtn = document.getElementById('trashEmptyBtn');
+
+        document.getElementById('trashBtn').addEventListener('click', () => this.open());
+        document.getElementById('trashClose').addEventListener('click', () => this.dialog.close());
+        this.emptyBtn.addEventListener('click', () => this.emptyTrash());
+        this.list.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+            const id = button.dataset.id;
+            if (button.classList.contains('trash-restore')) {
+                await this.library.restoreRecordings([id]);
+            } else if (button.classList.contains('trash-purge')) {
+                const recording = this.library.trash.find(rec => rec.id === id);
+                if (!recording || !confirm(`Delete "${recording.name}" for good? This cannot be undone.`)) return;
+                await this.library.purgeRecordings([id]);
+            }
+            this.render();
+        });
+    }
+
+    open() {
+        this.render();
+        this.dialog.showModal();
+    }
+
+    render() {
+        const days = AppSettings.get('trashRetentionDays');
+        this.hint.textContent = `Deleted recordings are removed for good after ${days} day${days === 1 ? '' : 's'}.`;
+        const trash = this.library.trash.slice().sort((a, b) => b.deletedAt - a.deletedAt);
+        this.emptyBtn.disabled = trash.length === 0;
+        if (trash.length === 0) {
+            this.list.innerHTML = '<li class="schedule-empty">The trash is empty</li>';
+            return;
+        }
+        const dayMs = 24 * 60 * 60 * 1000;
+        this.list.innerHTML = trash.map(rec => {
+            const daysLeft = Math.max(0, Math.ceil((rec.deletedAt + days * dayMs - Date.now()) / dayMs));
+            return `
+                <li>
+                    <span class="trash-name">${escapeHtml(rec.name)} <small>(${escapeHtml(rec.duration || '')}, ${daysLeft} day${daysLeft === 1 ? '' : 's'} left)</small></span>
+                    <button type="button" class="trash-restore" data-id="${escapeHtml(rec.id)}">Restore</button>
+                    <button type="button" class="trash-purge" data-id="${escapeHtml(rec.id)}" title="Delete for good">&#x2715;</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async emptyTrash() {
+        const count = this.library.trash.length;
+        if (count === 0) return;
+        if (!confirm(`Delete ${count} recording${count === 1 ? '' : 's'} in the trash for good? This cannot be undone.`)) return;
+        await this.library.purgeRecordings(this.library.trash.map(rec => rec.id));
+        this.render();
+    }
+}
+
+// RecordingEditor Class: Non-destructive trim, cut and fade editing. Edits are kept as a
+// list of operations replayed on the decoded original, and saving creates a new version.
+class RecordingEditor {
+    static MICRO_FADE_SECONDS = 0.005; // Smooths the join left by a cut
+
+    constructor(library) {
+        this.library = library;
+        this.recording = null;
+        this.sourceBuffer = null;
+        this.editedBuffer = null;
+        this.peaks = null; // One peak per canvas column, recomputed only when the audio or the width changes
+        this.edits = [];
+        this.selection = null; // { start, end } in seconds of the edited timeline
+        this.dragStartTime = null;
+
+        this.panel = document.getElementById('editorPanel');
+        this.title = document.getElementById('editorTitle');
+        this.canvas = document.getElementById('editorWaveform');
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.selectionInfo = document.getElementById('editorSelectionInfo');
+        this.status = document.getElementById('editorStatus');
+        this.trimBtn = document.getElementById('editorTrim');
+        this.cutBtn = document.getElementById('editorCut');
+        this.fadeInBtn = document.getElementById('editorFadeIn');
+        this.fadeOutBtn = document.getElementById('editorFadeOut');
+        this.undoBtn = document.getElementById('editorUndo');
+        this.previewBtn = document.getElementById('editorPreview');
+        this.saveBtn = document.getElementById('editorSave');
+        this.closeBtn = document.getElementById('editorClose');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.editedBuffer) return;
+            this.dragStartTime = this.timeAtEvent(e);
+            this.selection = { start: this.dragStartTime, end: this.dragStartTime };
+            this.draw();
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragStartTime === null) return;
+            const time = this.timeAtEvent(e);
+            this.selection = {
+                start: Math.min(this.dragStartTime, time),
+                end: Math.max(this.dragStartTime, time)
+            };
+            this.draw();
+        });
+        window.addEventListener('mouseup', () => {
+            if (this.dragStartTime === null) return;
+            this.dragStartTime = null;
+            if (this.selection && this.selection.end - this.selection.start < 0.01) {
+                this.selection = null;
+            }
+            this.draw();
+        });
+        window.addEventListener('resize', debounce(() => this.draw(), 100));
+
+        this.trimBtn.addEventListener('click', () => this.addEdit('trim'));
+        this.cutBtn.addEventListener('click', () => this.addEdit('cut'));
+        this.fadeInBtn.addEventListener('click', () => this.addEdit('fadeIn'));
+        this.fadeOutBtn.addEventListener('click', () => this.addEdit('fadeOut'));
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.previewBtn.addEventListener('click', () => this.preview());
+        this.saveBtn.addEventListener('click', () => this.save());
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    async open(recording) {
+        if (this.recording && this.edits.length > 0 && !confirm('Discard your unsaved edits?')) {
+            return;
+        }
+
+        this.recording = recording;
+        this.edits = [];
+        this.selection = null;
+        this.sourceBuffer = null;
+        this.editedBuffer = null;
+        this.peaks = null;
+        this.title.textContent = `Editing: ${recording.name}`;
+        this.status.textContent = 'Loading...';
+        this.panel.style.display = 'block';
+        this.panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        this.updateControls();
+
+        try {
+            const blob = await this.library.getBlob(recording);
+            this.sourceBuffer = await decodeAudioBlob(blob);
+        } catch (e) {
+            console.error('Failed to open recording in editor:', e);
+            this.status.textContent = 'This recording could not be decoded.';
+            return;
+        }
+        this.status.textContent = '';
+        this.applyEdits();
+    }
+
+    close() {
+        if (this.edits.length > 0 && !confirm('Discard your unsaved edits?')) {
+            return;
+        }
+        this.stopPreview();
+        this.panel.style.display = 'none';
+        this.recording = null;
+        this.sourceBuffer = null;
+        this.editedBuffer = null;
+        this.peaks = null;
+        this.edits = [];
+        this.selection = null;
+    }
+
+    addEdit(type) {
+        if (!this.selection) return;
+        this.edits.push({ type, start: this.selection.start, end: this.selection.end });
+        this.selection = null;
+        this.applyEdits();
+    }
+
+    undo() {
+        this.edits.pop();
+        this.selection = null;
+        this.applyEdits();
+    }
+
+    // Replays the edit list on a copy of the original audio
+    applyEdits() {
+        if (!this.sourceBuffer) return;
+        const sampleRate = this.sourceBuffer.sampleRate;
+        let channels = [];
+        for (let c = 0; c < this.sourceBuffer.numberOfChannels; c++) {
+            channels.push(this.sourceBuffer.getChannelData(c).slice());
+        }
+
+        this.edits.forEach(edit => {
+            channels = RecordingEditor.applyEdit(channels, edit, sampleRate);
         });
-        
-        // Handle loading errors
-        this.currentAudio.addEventListener('error', (e) => {
-            console.error('Audio loading error:', e);
-            this.durationSpan.textContent = 'Error';
-            this.stop();
+
+        this.editedBuffer = new AudioBuffer({
+            numberOfChannels: channels.length,
+            length: Math.max(1, channels[0].length),
+            sampleRate
         });
-        
-        // Handle audio canplay event
-        this.currentAudio.addEventListener('canplay', () => {
-            // Audio is ready to play
-            if (this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
-                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
-                this.recordingDurationFallback = this.currentAudio.duration;
-            }
-            
-            // Apply pending seek if exists
-            if (this.pendingSeekTime !== undefined) {
-                this.currentAudio.currentTime = this.pendingSeekTime;
-                this.pendingSeekTime = undefined;
+        channels.forEach((data, c) => this.editedBuffer.copyToChannel(data, c));
+        this.peaks = computePeaks(this.editedBuffer, this.canvasWidth());
+        this.stopPreview();
+        this.draw();
+    }
+
+    static applyEdit(channels, edit, sampleRate) {
+        const length = channels[0].length;
+        const start = Math.max(0, Math.min(length, Math.round(edit.start * sampleRate)));
+        const end = Math.max(start, Math.min(length, Math.round(edit.end * sampleRate)));
+
+        switch (edit.type) {
+            case 'trim':
+                return channels.map(data => data.slice(start, end));
+            case 'cut': {
+                const fade = Math.min(Math.round(RecordingEditor.MICRO_FADE_SECONDS * sampleRate), start, length - end);
+                return channels.map(data => {
+                    const output = new Float32Array(length - (end - start));
+                    output.set(data.subarray(0, start));
+                    output.set(data.subarray(end), start);
+                    for (let i = 0; i < fade; i++) {
+                        const gain = i / fade;
+                        output[start - 1 - i] *= gain;
+                        output[start + i] *= gain;
+                    }
+                    return output;
+                });
             }
-        });
-        
-        // Handle loadeddata event as additional fallback
-        this.currentAudio.addEventListener('loadeddata', () => {
-            if (this.currentAudio && this.currentAudio.duration && isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0) {
-                this.durationSpan.textContent = this.formatTime(this.currentAudio.duration);
-                this.recordingDurationFallback = this.currentAudio.duration;
+            case 'fadeIn':
+            case 'fadeOut': {
+                const span = Math.max(1, end - start);
+                channels.forEach(data => {
+                    for (let i = start; i < end; i++) {
+                        const position = (i - start) / span;
+                        data[i] *= edit.type === 'fadeIn' ? position : 1 - position;
+                    }
+                });
+                return channels;
             }
-        });
-        
-        // No longer need the setTimeout fallback since we're using stored duration
-        
-        // Update UI
-        this.nowPlayingTitle.textContent = `Now Playing: ${recording.name}`;
-        this.playerContainer.style.display = 'block';
-        this.playPauseBtn.textContent = '⏸️';
-        this.isPlaying = true;
-        
-        // Start playing
-        this.currentAudio.play().then(() => {
-            // Start smooth progress updates
-            this.startProgressInterval();
-        }).catch(err => {
-            console.error('Playback error:', err);
-            // Try to reload and play again
-            this.currentAudio.load();
-            setTimeout(() => {
-                if (this.currentAudio) {
-                    this.currentAudio.play().then(() => {
-                        this.startProgressInterval();
-                    }).catch(e => {
-                        console.error('Second playback attempt failed:', e);
-                        this.stop();
-                    });
-                }
-            }, 100);
+            default:
+                return channels;
+        }
+    }
+
+    timeAtEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        return ratio * this.editedBuffer.duration;
+    }
+
+    canvasWidth() {
+        return this.canvas.clientWidth || 800;
+    }
+
+    draw() {
+        this.updateControls();
+        if (!this.editedBuffer) {
+            this.canvasCtx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
+
+        const width = this.canvasWidth();
+        const height = 120;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        const duration = this.editedBuffer.duration;
+        // Only a resize invalidates the peaks between edits
+        if (!this.peaks || this.peaks.length !== width) {
+            this.peaks = computePeaks(this.editedBuffer, width);
+        }
+        const peaks = this.peaks;
+
+        this.canvasCtx.clearRect(0, 0, width, height);
+
+        if (this.selection) {
+            const x1 = (this.selection.start / duration) * width;
+            const x2 = (this.selection.end / duration) * width;
+            this.canvasCtx.fillStyle = 'rgba(0, 123, 255, 0.2)';
+            this.canvasCtx.fillRect(x1, 0, Math.max(1, x2 - x1), height);
+        }
+
+        this.canvasCtx.fillStyle = '#007bff';
+        peaks.forEach((peak, x) => {
+            const barHeight = Math.max(1, peak * height);
+            this.canvasCtx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
         });
     }
-    
-    togglePlayPause() {
-        if (!this.currentAudio) return;
-        
-        if (this.isPlaying) {
-            this.currentAudio.pause();
-            this.playPauseBtn.textContent = '▶️';
-            this.isPlaying = false;
-            this.stopProgressInterval(); // Stop interval when paused
+
+    updateControls() {
+        const hasAudio = !!this.editedBuffer;
+        const hasSelection = hasAudio && !!this.selection && this.selection.end > this.selection.start;
+        const coversAll = hasSelection && this.selection.start <= 0.01 &&
+            this.selection.end >= this.editedBuffer.duration - 0.01;
+
+        this.trimBtn.disabled = !hasSelection;
+        this.cutBtn.disabled = !hasSelection || coversAll;
+        this.fadeInBtn.disabled = !hasSelection;
+        this.fadeOutBtn.disabled = !hasSelection;
+        this.undoBtn.disabled = this.edits.length === 0;
+        this.previewBtn.disabled = !hasAudio;
+        this.saveBtn.disabled = !hasAudio || this.edits.length === 0;
+
+        if (!hasAudio) {
+            this.selectionInfo.textContent = '';
+        } else if (hasSelection) {
+            const { start, end } = this.selection;
+            this.selectionInfo.textContent = `Selection: ${RecordingEditor.formatSeconds(start)} - ${RecordingEditor.formatSeconds(end)} (${(end - start).toFixed(2)} s)`;
         } else {
-            this.currentAudio.play()
-                .then(() => {
-                    this.playPauseBtn.textContent = '⏸️';
-                    this.isPlaying = true;
-                    this.startProgressInterval(); // Start interval when playing
-                })
-                .catch(err => {
-                    console.error('Play error:', err);
-                });
+            this.selectionInfo.textContent = `Length: ${RecordingEditor.formatSeconds(this.editedBuffer.duration)} - drag on the waveform to select a region`;
         }
     }
-    
-    startProgressInterval() {
-        this.stopProgressInterval(); // Clear any existing interval
-        
-        // Update progress 30 times per second for smooth animation
-        this.progressInterval = setInterval(() => {
-            if (this.currentAudio && !this.currentAudio.paused) {
-                this.updateProgress();
+
+    static formatSeconds(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+        return `${mins}:${secs}`;
+    }
+
+    previewId() {
+        return this.recording ? `${this.recording.id}-preview` : null;
+    }
+
+    async preview() {
+        if (!this.editedBuffer) return;
+        this.status.textContent = 'Preparing preview...';
+        try {
+            const blob = await AudioExporter.encode(this.editedBuffer, { format: 'wav', bitDepth: 16 });
+            this.status.textContent = '';
+            audioPlayer.play({
+                id: this.previewId(),
+                name: `${this.recording.name} (preview)`,
+                durationSeconds: this.editedBuffer.duration,
+                peaks: computePeaks(this.editedBuffer, PEAK_COUNT)
+            }, null, blob);
+        } catch (e) {
+            console.error('Preview failed:', e);
+            this.status.textContent = 'The preview could not be rendered.';
+        }
+    }
+
+    stopPreview() {
+        if (audioPlayer && audioPlayer.currentRecordingId && audioPlayer.currentRecordingId === this.previewId()) {
+            audioPlayer.stop();
+        }
+    }
+
+    async save() {
+        if (!this.editedBuffer || this.edits.length === 0) return;
+        this.saveBtn.disabled = true;
+        this.status.textContent = 'Saving...';
+
+        try {
+            const blob = await AudioExporter.encode(this.editedBuffer, { format: 'wav', bitDepth: 16 });
+            const extra = {
+                name: `${this.recording.name} (edited)`,
+                versionOf: this.recording.id,
+                edits: this.edits.slice(),
+                folderId: this.recording.folderId,
+                tags: this.recording.tags,
+                peaks: resamplePeaks(computePeaks(this.editedBuffer, PEAK_COUNT))
+            };
+            if (this.recording.originalId) {
+                extra.originalId = this.recording.originalId;
             }
-        }, 33); // 33ms = ~30fps
+            await this.library.addRecording(blob, this.editedBuffer.duration, this.recording.type, extra);
+            this.edits = [];
+            this.close();
+        } catch (e) {
+            console.error('Failed to save edited recording:', e);
+            this.status.textContent = 'The edited version could not be saved.';
+            this.updateControls();
+        }
     }
-    
-    stopProgressInterval() {
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
+}
+
+// AppSettings Class: Persisted user settings, merged over defaults
+class AppSettings {
+    static STORAGE_KEY = 'settings';
+    static DEFAULTS = {
+        deviceId: '',
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+        channelCount: 1,
+        sampleRate: 0, // 0 = device default
+        recordingMimeType: '', // '' = best supported
+        bitratePreset: 'voice',
+        transcriptionLanguage: '', // '' = detect
+        vadEnabled: false,
+        vadThresholdDb: -45,
+        vadHangoverMs: 1500,
+        vadPreRollMs: 300,
+        stopAfterMinutes: 0, // 0 = no limit
+        maxSizeMb: 0, // 0 = no limit
+        splitMinutes: 0, // 0 = one file per take
+        recordingSource: 'mic', // 'mic', 'tab' or 'both'
+        micGain: 1,
+        tabGain: 1,
+        inputGainDb: 0,
+        playbackRate: 1,
+        skipBackSeconds: 5,
+        skipForwardSeconds: 5,
+        queueShuffle: false,
+        queueRepeat: 'off', // 'off', 'all' or 'one'
+        trashRetentionDays: 30,
+        retakeSeconds: 5,
+        keymap: {} // Shortcut overrides by action id; see ShortcutManager.ACTIONS
+    };
+    static cache = null;
+
+    static load() {
+        if (!this.cache) {
+            try {
+                const saved = JSON.parse(StorageManager.getFromLocalStorage(this.STORAGE_KEY, '{}'));
+                this.cache = { ...this.DEFAULTS, ...saved };
+            } catch (e) {
+                console.error('Failed to parse settings from localStorage:', e);
+                this.cache = { ...this.DEFAULTS };
+            }
         }
+        return this.cache;
     }
-    
-    stop() {
-        this.stopProgressInterval(); // Stop the progress interval
-        
-        if (this.currentAudio) {
-            this.currentAudio.pause();
-            this.currentAudio.currentTime = 0;
-            
-            // Remove all event listeners
-            this.currentAudio.removeEventListener('ended', () => this.stop());
-            this.currentAudio.removeEventListener('loadedmetadata', () => {});
-            this.currentAudio.removeEventListener('error', () => {});
-            this.currentAudio.removeEventListener('canplay', () => {});
-            this.currentAudio.removeEventListener('durationchange', () => {});
-            this.currentAudio.removeEventListener('loadeddata', () => {});
-            
-            this.currentAudio = null;
+
+    static get(key) {
+        return this.load()[key];
+    }
+
+    static update(changes) {
+        this.cache = { ...this.load(), ...changes };
+        StorageManager.saveToLocalStorage(this.STORAGE_KEY, JSON.stringify(this.cache));
+    }
+
+    // getUserMedia audio constraints for the chosen microphone and processing options
+    static getAudioConstraints({ ignoreDevice = false } = {}) {
+        const settings = this.load();
+        const constraints = {
+            echoCancellation: settings.echoCancellation,
+            noiseSuppression: settings.noiseSuppression,
+            autoGainControl: settings.autoGainControl,
+            channelCount: { ideal: settings.channelCount }
+        };
+        if (settings.sampleRate) {
+            constraints.sampleRate = { ideal: settings.sampleRate };
         }
-        
-        // Reset UI
-        this.playerContainer.style.display = 'none';
-        this.playPauseBtn.textContent = '▶️';
-        this.isPlaying = false;
-        this.seekBar.value = 0;
-        this.progressFill.style.width = '0%';
-        this.currentTimeSpan.textContent = '0:00';
-        this.durationSpan.textContent = '0:00';
-        
-        // Remove playing class
-        document.querySelectorAll('.recording-item').forEach(item => {
-            item.classList.remove('playing');
+        if (settings.deviceId && !ignoreDevice) {
+            constraints.deviceId = { exact: settings.deviceId };
+        }
+        return constraints;
+    }
+}
+
+// RecordingFormat Class: Container/codec pairs and bitrate presets for MediaRecorder
+class RecordingFormat {
+    static CANDIDATES = [
+        { mimeType: 'audio/webm;codecs=opus', label: 'WebM / Opus' },
+        { mimeType: 'audio/ogg;codecs=opus', label: 'Ogg / Opus' },
+        { mimeType: 'audio/mp4;codecs=mp4a.40.2', label: 'MP4 / AAC' },
+        { mimeType: 'audio/mp4', label: 'MP4' },
+        { mimeType: 'audio/webm;codecs=pcm', label: 'WebM / PCM (uncompressed)' },
+        { mimeType: 'audio/webm', label: 'WebM' },
+        { mimeType: 'audio/ogg', label: 'Ogg' }
+    ];
+
+    static BITRATE_PRESETS = {
+        voice: { label: 'Voice (32 kbps)', audioBitsPerSecond: 32000 },
+        music: { label: 'Music (128 kbps)', audioBitsPerSecond: 128000 },
+        archival: { label: 'Archival (256 kbps)', audioBitsPerSecond: 256000 }
+    };
+
+    static supported() {
+        if (typeof MediaRecorder === 'undefined') return [];
+        return this.CANDIDATES.filter(format => MediaRecorder.isTypeSupported(format.mimeType));
+    }
+
+    static labelFor(mimeType = '') {
+        const match = this.CANDIDATES.find(format => format.mimeType === mimeType) ||
+            this.CANDIDATES.find(format => format.mimeType === mimeType.split(';')[0]);
+        return match ? match.label : mimeType || 'Unknown';
+    }
+
+    // MediaRecorder options for the format and preset chosen in settings,
+    // falling back to the first supported format
+    static resolve() {
+        const supported = this.supported();
+        const chosen = AppSettings.get('recordingMimeType');
+        const format = supported.find(f => f.mimeType === chosen) || supported[0];
+        const preset = this.BITRATE_PRESETS[AppSettings.get('bitratePreset')] || this.BITRATE_PRESETS.voice;
+        return {
+            mimeType: format ? format.mimeType : '',
+            audioBitsPerSecond: preset.audioBitsPerSecond
+        };
+    }
+}
+
+// SettingsPanel Class: Settings dialog opened from #settingsButton
+class SettingsPanel {
+    constructor() {
+        this.dialog = document.getElementById('settingsDialog');
+        this.deviceSelect = document.getElementById('settingsDevice');
+        this.deviceHint = document.getElementById('settingsDeviceHint');
+        this.showLabelsBtn = document.getElementById('settingsShowLabels');
+        this.echoCancellation = document.getElementById('settingsEchoCancellation');
+        this.noiseSuppression = document.getElementById('settingsNoiseSuppression');
+        this.autoGainControl = document.getElementById('settingsAutoGainControl');
+        this.channelCount = document.getElementById('settingsChannelCount');
+        this.sampleRate = document.getElementById('settingsSampleRate');
+        this.formatSelect = document.getElementById('settingsRecordingFormat');
+        this.bitrateSelect = document.getElementById('settingsBitratePreset');
+        this.vadEnabled = document.getElementById('settingsVadEnabled');
+        this.vadThreshold = document.getElementById('settingsVadThreshold');
+        this.vadThresholdValue = document.getElementById('settingsVadThresholdValue');
+        this.vadHangover = document.getElementById('settingsVadHangover');
+        this.vadPreRoll = document.getElementById('settingsVadPreRoll');
+        this.stopAfter = document.getElementById('settingsStopAfter');
+        this.maxSize = document.getElementById('settingsMaxSize');
+        this.splitEvery = document.getElementById('settingsSplitEvery');
+        this.skipBack = document.getElementById('settingsSkipBack');
+        this.skipForward = document.getElementById('settingsSkipForward');
+        this.trashRetention = document.getElementById('settingsTrashRetention');
+        this.exportLibraryBtn = document.getElementById('settingsExportLibrary');
+        this.importLibraryBtn = document.getElementById('settingsImportLibrary');
+        this.importFileInput = document.getElementById('settingsImportFile');
+        this.backupStatus = document.getElementById('settingsBackupStatus');
+
+        this.populateFormats();
+        this.setupEventListeners();
+        this.loadValues();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settingsButton').addEventListener('click', () => this.open());
+        document.getElementById('settingsClose').addEventListener('click', () => this.dialog.close());
+        this.showLabelsBtn.addEventListener('click', () => this.requestDeviceLabels());
+        this.exportLibraryBtn.addEventListener('click', () => this.exportLibrary());
+        this.importLibraryBtn.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            // Reset so picking the same file again still fires change
+            this.importFileInput.value = '';
+            if (file) this.importLibrary(file);
         });
-        
-        this.currentRecordingId = null;
+
+        this.deviceSelect.addEventListener('change', () => {
+            AppSettings.update({ deviceId: this.deviceSelect.value });
+            applyInputSettings();
+        });
+        [this.echoCancellation, this.noiseSuppression, this.autoGainControl].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                AppSettings.update({ [checkbox.dataset.setting]: checkbox.checked });
+                applyInputSettings();
+            });
+        });
+        this.formatSelect.addEventListener('change', () => {
+            AppSettings.update({ recordingMimeType: this.formatSelect.value });
+        });
+        this.bitrateSelect.addEventListener('change', () => {
+            AppSettings.update({ bitratePreset: this.bitrateSelect.value });
+        });
+        this.vadEnabled.addEventListener('change', () => {
+            AppSettings.update({ vadEnabled: this.vadEnabled.checked });
+        });
+        this.vadThreshold.addEventListener('input', () => {
+            AppSettings.update({ vadThresholdDb: parseInt(this.vadThreshold.value, 10) });
+            this.vadThresholdValue.textContent = `${this.vadThreshold.value} dB`;
+        });
+        [this.vadHangover, this.vadPreRoll, this.stopAfter, this.maxSize, this.splitEvery].forEach(select => {
+            select.addEventListener('change', () => {
+                AppSettings.update({ [select.dataset.setting]: parseInt(select.value, 10) });
+            });
+        });
+        [this.skipBack, this.skipForward].forEach(select => {
+            select.addEventListener('change', () => {
+                AppSettings.update({ [select.dataset.setting]: parseInt(select.value, 10) });
+                audioPlayer.updateSkipLabels();
+            });
+        });
+        this.trashRetention.addEventListener('change', () => {
+            AppSettings.update({ trashRetentionDays: parseInt(this.trashRetention.value, 10) });
+            library.purgeExpiredTrash();
+        });
+        [this.channelCount, this.sampleRate].forEach(select => {
+            select.addEventListener('change', () => {
+                AppSettings.update({ [select.dataset.setting]: parseInt(select.value, 10) });
+                applyInputSettings();
+            });
+        });
+
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.refreshDevices();
+                checkInputDevice();
+            });
+        }
     }
-    
-    updateProgress() {
-        if (!this.currentAudio) return;
 
-        const currentTime = this.currentAudio.currentTime || 0;
+    setBackupBusy(busy) {
+        this.exportLibraryBtn.disabled = busy;
+        this.importLibraryBtn.disabled = busy;
+    }
+
+    async exportLibrary() {
+        this.setBackupBusy(true);
+        try {
+            const count = await LibraryBackup.exportLibrary(library, (status) => {
+                this.backupStatus.textContent = status;
+            });
+            this.backupStatus.textContent = `Exported ${count} recording${count === 1 ? '' : 's'}.`;
+        } catch (e) {
+            console.error('Library export failed:', e);
+            this.backupStatus.textContent = `Export failed: ${e.message}`;
+        } finally {
+            this.setBackupBusy(false);
+        }
+    }
+
+    async importLibrary(file) {
+        this.setBackupBusy(true);
+        try {
+            const { imported, duplicates, missing } = await LibraryBackup.importLibrary(library, file, (status) => {
+                this.backupStatus.textContent = status;
+            });
+            const summary = [`Imported ${imported} recording${imported === 1 ? '' : 's'}.`];
+            if (duplicates > 0) summary.push(`Skipped ${duplicates} already in the library.`);
+            if (missing > 0) summary.push(`${missing} had no audio in the archive.`);
+            this.backupStatus.textContent = summary.join(' ');
+        } catch (e) {
+            console.error('Library import failed:', e);
+            this.backupStatus.textContent = RecordingStore.isQuotaError(e)
+                ? 'Import stopped: browser storage is full. Recordings imported so far were kept.'
+                : `Import failed: ${e.message}`;
+        } finally {
+            this.setBackupBusy(false);
+        }
+    }
+
+    loadValues() {
+        const settings = AppSettings.load();
+        this.echoCancellation.checked = settings.echoCancellation;
+        this.noiseSuppression.checked = settings.noiseSuppression;
+        this.autoGainControl.checked = settings.autoGainControl;
+        this.channelCount.value = String(settings.channelCount);
+        this.sampleRate.value = String(settings.sampleRate);
+        this.formatSelect.value = settings.recordingMimeType;
+        if (this.formatSelect.value !== settings.recordingMimeType) {
+            this.formatSelect.value = ''; // saved format is not supported in this browser
+        }
+        this.bitrateSelect.value = settings.bitratePreset;
+        this.vadEnabled.checked = settings.vadEnabled;
+        this.vadThreshold.value = String(settings.vadThresholdDb);
+        this.vadThresholdValue.textContent = `${settings.vadThresholdDb} dB`;
+        this.vadHangover.value = String(settings.vadHangoverMs);
+        this.vadPreRoll.value = String(settings.vadPreRollMs);
+        this.stopAfter.value = String(settings.stopAfterMinutes);
+        this.maxSize.value = String(settings.maxSizeMb);
+        this.splitEvery.value = String(settings.splitMinutes);
+        this.skipBack.value = String(settings.skipBackSeconds);
+        this.skipForward.value = String(settings.skipForwardSeconds);
+        this.trashRetention.value = String(settings.trashRetentionDays);
+    }
+
+    // Lists only the container/codec pairs this browser can record
+    populateFormats() {
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = 'Automatic (best supported)';
+        this.formatSelect.appendChild(auto);
+        RecordingFormat.supported().forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.mimeType;
+            option.textContent = `${format.label} - ${format.mimeType}`;
+            this.formatSelect.appendChild(option);
+        });
+
+        Object.entries(RecordingFormat.BITRATE_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            this.bitrateSelect.appendChild(option);
+        });
+    }
+
+    open() {
+        this.loadValues();
+        this.refreshDevices();
+        shortcuts.renderKeymap();
+        this.dialog.showModal();
+    }
+
+    async refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const inputs = devices.filter(device => device.kind === 'audioinput');
+        const savedId = AppSettings.get('deviceId');
+
+        this.deviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'System default';
+        this.deviceSelect.appendChild(defaultOption);
+
+        inputs.forEach((device, index) => {
+            if (device.deviceId === 'default' || device.deviceId === '') return;
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Microphone ${index + 1}`;
+            this.deviceSelect.appendChild(option);
+        });
+
+        const savedAvailable = inputs.some(device => device.deviceId === savedId);
+        if (savedId && !savedAvailable) {
+            // Keep the remembered device selectable so plugging it back in restores it
+            const option = document.createElement('option');
+            option.value = savedId;
+            option.textContent = 'Saved microphone (not connected)';
+            this.deviceSelect.appendChild(option);
+        }
+        this.deviceSelect.value = savedId;
+
+        // Device labels are hidden until the page has had microphone permission
+        const hasLabels = inputs.some(device => device.label);
+        this.deviceHint.textContent = hasLabels ? '' : 'Allow microphone access to see device names.';
+        this.showLabelsBtn.style.display = hasLabels ? 'none' : '';
+    }
+
+    async requestDeviceLabels() {
+        try {
+            const tempStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            tempStream.getTracks().forEach(track => track.stop());
+        } catch (e) {
+            console.error('Microphone permission was not granted:', e);
+        }
+        this.refreshDevices();
+    }
+}
+
+// AutosaveSession Class: Persists MediaRecorder chunks as they arrive so a take
+// survives a crashed or closed tab. A Web Lock marks the session as live, so other
+// tabs don't offer to recover a take that is still being recorded.
+class AutosaveSession {
+    static LOCK_PREFIX = 'recording-session-';
 
-        // Use actual duration if available, otherwise fallback
-        let duration = (isFinite(this.currentAudio.duration) && this.currentAudio.duration > 0)
-            ? this.currentAudio.duration
-            : (this.recordingDurationFallback || 1);
+    constructor(mimeType, extra = {}) {
+        this.session = {
+            id: generateId('session'),
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            mimeType,
+            durationSeconds: 0,
+            chunkCount: 0,
+            ...extra
+        };
+        this.failed = false;
+        this.queue = RecordingStore.saveSession(this.session).catch(e => this.handleError(e));
 
-        const progress = (currentTime / duration) * 100;
-        const safeProgress = Math.max(0, Math.min(100, progress));
+        if (navigator.locks) {
+            navigator.locks.request(AutosaveSession.LOCK_PREFIX + this.session.id, () =>
+                new Promise(resolve => { this.releaseLock = resolve; }));
+        }
+    }
 
-        this.seekBar.value = safeProgress;
-        this.progressFill.style.width = safeProgress + '%';
-        this.progressFill.parentElement.style.setProperty('--progress-position', safeProgress + '%');
+    // Chunks are written strictly in order through a promise chain
+    addChunk(blob, durationSeconds, peaks, markers) {
+        const index = this.session.chunkCount++;
+        this.session.durationSeconds = durationSeconds;
+        this.session.updatedAt = Date.now();
+        if (peaks) {
+            this.session.peaks = peaks;
+        }
+        if (markers && markers.length > 0) {
+            this.session.markers = markers.map(marker => ({ ...marker }));
+        }
+        const snapshot = { ...this.session };
+        this.queue = this.queue
+            .then(() => RecordingStore.saveChunk(snapshot, index, blob))
+            .catch(e => this.handleError(e));
+        return this.queue;
+    }
 
-        this.currentTimeSpan.textContent = this.formatTime(currentTime);
+    handleError(error) {
+        console.error('Autosave failed:', error);
+        if (!this.failed) {
+            this.failed = true;
+            showRecorderNotice(RecordingStore.isQuotaError(error)
+                ? 'Autosave stopped: browser storage is full. The take is still being recorded in memory.'
+                : 'Autosave failed. The take is still being recorded in memory.');
+        }
+    }
 
-        if (duration && this.durationSpan.textContent === 'Loading...') {
-            this.durationSpan.textContent = this.formatTime(duration);
+    // Drops the autosaved copy once the take is safely in the library
+    async discard() {
+        await this.queue;
+        try {
+            await RecordingStore.deleteSession(this.session.id);
+        } catch (e) {
+            console.error('Failed to delete autosave session:', e);
         }
+        this.release();
     }
 
+    // Leaves the autosaved copy in place (e.g. the final save failed) so it can be recovered later
+    release() {
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+    }
 
-    
-    formatTime(seconds) {
-        if (!isFinite(seconds) || isNaN(seconds) || seconds < 0) return '0:00';
-        
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+    // Sessions left behind by a crashed or closed tab, skipping ones another tab is still recording
+    static async findUnfinished() {
+        const sessions = await RecordingStore.getSessions();
+        if (sessions.length === 0 || !navigator.locks) return sessions;
+        const { held } = await navigator.locks.query();
+        const live = new Set(held.map(lock => lock.name));
+        return sessions.filter(session => !live.has(AutosaveSession.LOCK_PREFIX + session.id));
     }
 }
 
-class RecordingLibrary {
+// VoiceActivation Class: Decides when someone is speaking from the input level. Speech
+// over the threshold starts it at once; it only ends after the hangover time of silence,
+// so short gaps between words don't pause the take.
+class VoiceActivation {
+    constructor({ onSpeech, onSilence }) {
+        this.onSpeech = onSpeech;
+        this.onSilence = onSilence;
+        this.speaking = false;
+        this.lastVoiceAt = 0;
+    }
+
+    update(levelDb, now = performance.now()) {
+        if (levelDb >= AppSettings.get('vadThresholdDb')) {
+            this.lastVoiceAt = now;
+            if (!this.speaking) {
+                this.speaking = true;
+                this.onSpeech();
+            }
+        } else if (this.speaking && now - this.lastVoiceAt >= AppSettings.get('vadHangoverMs')) {
+            this.speaking = false;
+            this.onSilence();
+        }
+    }
+
+    // Back to waiting for speech, e.g. after a manual pause
+    reset() {
+        this.speaking = false;
+    }
+}
+
+// LevelMeter Class: RMS and peak level in dBFS of the signal being recorded, with a
+// peak-hold line and a clip light that stays lit until it is clicked or a new take starts
+class LevelMeter {
+    static PEAK_HOLD_MS = 1500;
+    static PEAK_FALL_DB_PER_SECOND = 20;
+
     constructor() {
-        this.rawRecordingsList = document.getElementById('rawRecordingsList');
-        this.aiImprovedList = document.getElementById('aiImprovedList');
-        this.recordings = {
-            raw: this.loadRecordings('rawRecordings'),
-            improved: this.loadRecordings('aiImprovedRecordings')
-        };
-        // No need for tab switching anymore
-        this.renderRawRecordings();
-        this.renderAIRecordings();
+        this.element = document.getElementById('levelMeter');
+        this.rmsFill = this.element.querySelector('.level-meter-fill');
+        this.peakFill = this.element.querySelector('.level-meter-peak');
+        this.holdLine = this.element.querySelector('.level-meter-hold');
+        this.threshold = this.element.querySelector('.level-meter-threshold');
+        this.readout = this.element.querySelector('.level-meter-readout');
+        this.clipLight = document.getElementById('clipIndicator');
+        this.clipLight.addEventListener('click', () => this.resetClip());
+        this.reset();
+    }
+
+    static toDb(level) {
+        return level > 0 ? 20 * Math.log10(level) : -Infinity;
+    }
+
+    static formatDb(levelDb) {
+        return levelDb > LEVEL_METER_MIN_DB ? levelDb.toFixed(1) : '-inf';
+    }
+
+    show() {
+        this.element.style.display = '';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    reset() {
+        this.holdDb = -Infinity;
+        this.holdUntil = 0;
+        this.lastUpdate = performance.now();
+        this.resetClip();
+        this.render(-Infinity, -Infinity);
+    }
+
+    resetClip() {
+        this.clipLight.classList.remove('clipped');
+        this.clipLight.title = 'No clipping';
     }
 
-    loadRecordings(storageKey) {
+    update({ rms, peak, clipped }, now = performance.now()) {
+        const rmsDb = LevelMeter.toDb(rms);
+        const peakDb = LevelMeter.toDb(peak);
+        if (peakDb >= this.holdDb) {
+            this.holdDb = peakDb;
+            this.holdUntil = now + LevelMeter.PEAK_HOLD_MS;
+        } else if (now > this.holdUntil) {
+            const fallen = this.holdDb - LevelMeter.PEAK_FALL_DB_PER_SECOND * (now - this.lastUpdate) / 1000;
+            this.holdDb = Math.max(peakDb, fallen);
+        }
+        this.lastUpdate = now;
+        if (clipped > 0) {
+            this.clipLight.classList.add('clipped');
+            this.clipLight.title = 'The input clipped - lower the gain. Click to reset.';
+        }
+        this.render(rmsDb, peakDb);
+    }
+
+    render(rmsDb, peakDb) {
+        this.rmsFill.style.width = `${levelToPercent(rmsDb)}%`;
+        this.peakFill.style.width = `${levelToPercent(peakDb)}%`;
+        this.holdLine.style.left = `${levelToPercent(this.holdDb)}%`;
+        this.holdLine.style.display = this.holdDb > LEVEL_METER_MIN_DB ? '' : 'none';
+        this.threshold.style.display = voiceActivation ? '' : 'none';
+        this.threshold.style.left = `${levelToPercent(AppSettings.get('vadThresholdDb'))}%`;
+        this.readout.textContent = `RMS ${LevelMeter.formatDb(rmsDb)} / Peak ${LevelMeter.formatDb(this.holdDb)} dBFS`;
+    }
+}
+
+// RecordingScheduler Class: Recordings set to start at a given time. Each one has a
+// chrome.alarms alarm; when it fires, the background script opens or wakes this page.
+class RecordingScheduler {
+    static STORAGE_KEY = 'scheduledRecordings';
+    static ALARM_PREFIX = 'scheduled-recording:';
+
+    static isAvailable() {
+        return typeof chrome !== 'undefined' && !!chrome.alarms;
+    }
+
+    static list() {
         try {
-            const savedRecordings = StorageManager.getFromLocalStorage(storageKey);
-            return savedRecordings ? JSON.parse(savedRecordings) : [];
+            const saved = JSON.parse(StorageManager.getFromLocalStorage(this.STORAGE_KEY, '[]'));
+            return Array.isArray(saved) ? saved.sort((a, b) => a.startAt - b.startAt) : [];
         } catch (e) {
-            console.error(`Failed to parse ${storageKey} from localStorage:`, e);
+            console.error('Failed to parse scheduled recordings:', e);
             return [];
         }
     }
 
-    saveRecordings(type = 'raw') {
-        const storageKey = type === 'raw' ? 'rawRecordings' : 'aiImprovedRecordings';
-        StorageManager.saveToLocalStorage(storageKey, JSON.stringify(this.recordings[type]));
-    }
-
-    addRecording(blob, duration, type = 'raw') {
-        const reader = new FileReader();
-        reader.onload = () => {
-            const newRecording = {
-                id: `rec-${Date.now()}`,
-                name: `Recording ${this.recordings[type].length + 1}`,
-                dataUrl: reader.result,
-                duration: this.formatTime(duration),
-                durationSeconds: duration, // Add this line to store raw seconds
-                timestamp: Date.now(),
-                type: type
-            };
-            this.recordings[type].unshift(newRecording);
-            this.saveRecordings(type);
-            
-            if (type === 'raw') {
-                this.renderRawRecordings();
-            } else {
-                this.renderAIRecordings();
-            }
-        };
-        reader.readAsDataURL(blob);
+    static save(schedules) {
+        StorageManager.saveToLocalStorage(this.STORAGE_KEY, JSON.stringify(schedules));
+        // The page may be closed right after scheduling, so don't wait for the debounce
+        StorageManager.flushWrites();
     }
 
-    deleteRecording(id, type) {
-        this.recordings[type] = this.recordings[type].filter(rec => rec.id !== id);
-        this.saveRecordings(type);
-        
-        if (type === 'raw') {
-            this.renderRawRecordings();
-        } else {
-            this.renderAIRecordings();
-        }
+    static async add(startAt, durationMinutes) {
+        const schedule = { id: generateId('schedule'), startAt, durationMinutes };
+        await chrome.alarms.create(this.ALARM_PREFIX + schedule.id, { when: startAt });
+        this.save([...this.list(), schedule]);
+        return schedule;
     }
 
-    renderRawRecordings() {
-        this.rawRecordingsList.innerHTML = '';
-        const recordings = this.recordings.raw;
+    static async remove(id) {
+        this.save(this.list().filter(schedule => schedule.id !== id));
+        await chrome.alarms.clear(this.ALARM_PREFIX + id);
+    }
 
-        if (recordings.length === 0) {
-            this.rawRecordingsList.innerHTML = `
-                <div class="empty-state">
-                    <p>No recordings yet</p>
-                    <small>Click the microphone to start recording</small>
-                </div>
-            `;
-            return;
+    // Removes a schedule that is due and returns it, so it only ever starts once
+    static take(id) {
+        const schedules = this.list();
+        const schedule = schedules.find(item => item.id === id);
+        if (schedule) {
+            this.save(schedules.filter(item => item !== schedule));
         }
+        return schedule || null;
+    }
 
-        // Group recordings by date
-        const recordingsByDate = recordings.reduce((groups, rec) => {
-            const date = new Date(rec.timestamp).toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            if (!groups[date]) {
-                groups[date] = [];
-            }
-            groups[date].push(rec);
-            return groups;
-        }, {});
+    static endTime(schedule) {
+        return schedule.startAt + schedule.durationMinutes * 60000;
+    }
 
-        // Render each date group
-        for (const date in recordingsByDate) {
-            const dateHeader = document.createElement('h3');
-            dateHeader.textContent = date;
-            this.rawRecordingsList.appendChild(dateHeader);
-
-            recordingsByDate[date].forEach(rec => {
-                const item = document.createElement('div');
-                item.className = 'recording-item';
-                item.dataset.id = rec.id;
-                item.dataset.type = 'raw';
-                item.innerHTML = `
-                    <div class="name">
-                      <span class="title">${rec.name}</span>
-                      <span class="duration">(${rec.duration})</span>
-                    </div>
-                    <div class="controls">
-                        <button class="play-btn" data-id="${rec.id}" data-type="raw">&#9658;</button>
-                        <button class="download-btn" data-id="${rec.id}" data-type="raw">&#x1F4BE;</button>
-                        <button class="improve-btn" data-id="${rec.id}" data-type="raw" title="Improve with AI">✨</button>
-                        <button class="delete-btn" data-id="${rec.id}" data-type="raw">&#x1F5D1;</button>
-                    </div>
-                `;
-                this.rawRecordingsList.appendChild(item);
-            });
+    // Drops schedules whose whole slot passed while the browser was closed
+    static pruneMissed(now = Date.now()) {
+        const schedules = this.list();
+        const missed = schedules.filter(schedule => this.endTime(schedule) <= now);
+        if (missed.length > 0) {
+            this.save(schedules.filter(schedule => !missed.includes(schedule)));
         }
-        
-        this.setupEventListeners();
+        return missed;
     }
+}
 
-    renderAIRecordings() {
-        this.aiImprovedList.innerHTML = '';
-        const recordings = this.recordings.improved;
+// ScheduleDialog Class: Adds and removes scheduled recordings (#scheduleDialog)
+class ScheduleDialog {
+    constructor() {
+        this.dialog = document.getElementById('scheduleDialog');
+        this.form = document.getElementById('scheduleForm');
+        this.startInput = document.getElementById('scheduleStart');
+        this.durationInput = document.getElementById('scheduleDuration');
+        this.status = document.getElementById('scheduleStatus');
+        this.list = document.getElementById('scheduleList');
 
-        if (recordings.length === 0) {
-            this.aiImprovedList.innerHTML = `
-                <div class="empty-state">
-                    <p>No AI improved recordings yet</p>
-                    <small>Raw recordings can be improved using AI</small>
-                </div>
-            `;
+        const button = document.getElementById('schedule');
+        if (!RecordingScheduler.isAvailable()) {
+            // Only the installed extension can set alarms
+            button.style.display = 'none';
             return;
         }
+        button.addEventListener('click', () => this.open());
+        document.getElementById('scheduleClose').addEventListener('click', () => this.dialog.close());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.add();
+        });
+        this.list.addEventListener('click', async (e) => {
+            const removeBtn = e.target.closest('.schedule-remove');
+            if (!removeBtn) return;
+            await RecordingScheduler.remove(removeBtn.dataset.id);
+            this.render();
+        });
+    }
 
-        // Group recordings by date
-        const recordingsByDate = recordings.reduce((groups, rec) => {
-            const date = new Date(rec.timestamp).toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            if (!groups[date]) {
-                groups[date] = [];
-            }
-            groups[date].push(rec);
-            return groups;
-        }, {});
+    open() {
+        // Suggest the next full quarter hour
+        const start = new Date(Math.ceil((Date.now() + 60000) / 900000) * 900000);
+        this.startInput.value = this.toInputValue(start);
+        this.startInput.min = this.toInputValue(new Date());
+        this.status.textContent = '';
+        this.render();
+        this.dialog.showModal();
+    }
 
-        // Render each date group
-        for (const date in recordingsByDate) {
-            const dateHeader = document.createElement('h3');
-            dateHeader.textContent = date;
-            this.aiImprovedList.appendChild(dateHeader);
-
-            recordingsByDate[date].forEach(rec => {
-                const item = document.createElement('div');
-                item.className = 'recording-item';
-                item.dataset.id = rec.id;
-                item.dataset.type = 'improved';
-                item.innerHTML = `
-                    <div class="name">
-                      <span class="title">${rec.name}</span>
-                      <span class="duration">(${rec.duration})</span>
-                    </div>
-                    <div class="controls">
-                        <button class="play-btn" data-id="${rec.id}" data-type="improved">&#9658;</button>
-                        <button class="download-btn" data-id="${rec.id}" data-type="improved">&#x1F4BE;</button>
-                        <button class="delete-btn" data-id="${rec.id}" data-type="improved">&#x1F5D1;</button>
-                    </div>
-                `;
-                this.aiImprovedList.appendChild(item);
-            });
+    // datetime-local inputs take local time without a zone
+    toInputValue(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    async add() {
+        const startAt = new Date(this.startInput.value).getTime();
+        const durationMinutes = parseInt(this.durationInput.value, 10);
+        if (!isFinite(startAt) || startAt <= Date.now()) {
+            this.status.textContent = 'Choose a start time in the future.';
+            return;
         }
-        
-        this.setupEventListeners();
+        if (!(durationMinutes > 0)) {
+            this.status.textContent = 'Enter how many minutes to record.';
+            return;
+        }
+        const end = startAt + durationMinutes * 60000;
+        const overlapping = RecordingScheduler.list().some(schedule =>
+            startAt < RecordingScheduler.endTime(schedule) && schedule.startAt < end);
+        if (overlapping) {
+            this.status.textContent = 'This overlaps another scheduled recording.';
+            return;
+        }
+        try {
+            await RecordingScheduler.add(startAt, durationMinutes);
+            this.status.textContent = `Scheduled for ${new Date(startAt).toLocaleString()}.`;
+        } catch (e) {
+            console.error('Failed to schedule recording:', e);
+            this.status.textContent = 'The recording could not be scheduled.';
+        }
+        this.render();
     }
 
-    setupEventListeners() {
-        // Play buttons
-        document.querySelectorAll('.play-btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const id = e.target.dataset.id;
-                const type = e.target.dataset.type;
-                this.playRecording(id, type);
-            });
-        });
+    render() {
+        RecordingScheduler.pruneMissed();
+        const schedules = RecordingScheduler.list();
+        if (schedules.length === 0) {
+            this.list.innerHTML = '<li class="schedule-empty">Nothing scheduled</li>';
+            return;
+        }
+        this.list.innerHTML = schedules.map(schedule => `
+            <li>
+                <span>${escapeHtml(new Date(schedule.startAt).toLocaleString())} - ${schedule.durationMinutes} min</span>
+                <button type="button" class="schedule-remove" data-id="${escapeHtml(schedule.id)}" title="Cancel">✕</button>
+            </li>
+        `).join('');
+    }
+}
 
-        // Download buttons
-        document.querySelectorAll('.download-btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const id = e.target.dataset.id;
-                const type = e.target.dataset.type;
-                this.downloadRecording(id, type);
-            });
-        });
+// SourceControls Class: Chooses what a take records (microphone, tab audio or both)
+// and sets the level of each source, live while recording
+class SourceControls {
+    constructor() {
+        this.sourceSelect = document.getElementById('recordingSource');
+        this.hint = document.getElementById('sourceHint');
+        this.inputGainInput = document.getElementById('inputGain');
+        this.inputGainValue = document.getElementById('inputGainValue');
+        this.levels = {
+            micGain: { row: document.getElementById('micLevelRow'), input: document.getElementById('micLevel'), value: document.getElementById('micLevelValue') },
+            tabGain: { row: document.getElementById('tabLevelRow'), input: document.getElementById('tabLevel'), value: document.getElementById('tabLevelValue') }
+        };
 
-        // Delete buttons
-        document.querySelectorAll('.delete-btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const id = e.target.dataset.id;
-                const type = e.target.dataset.type;
-                this.deleteRecording(id, type);
-            });
+        this.sourceSelect.value = AppSettings.get('recordingSource');
+        this.sourceSelect.addEventListener('change', () => {
+            AppSettings.update({ recordingSource: this.sourceSelect.value });
+            this.update();
+            this.updateHint();
         });
-
-        // Improve buttons (only on raw recordings)
-        document.querySelectorAll('.improve-btn').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const id = e.target.dataset.id;
-                const type = e.target.dataset.type;
-                this.improveRecording(id, type);
+        Object.entries(this.levels).forEach(([key, level]) => {
+            level.input.value = String(Math.round(AppSettings.get(key) * 100));
+            level.input.addEventListener('input', () => {
+                const gain = parseInt(level.input.value, 10) / 100;
+                AppSettings.update({ [key]: gain });
+                const node = key === 'micGain' ? micGain : tabGain;
+                if (node && audioContext && audioContext.state !== 'closed') {
+                    node.gain.setTargetAtTime(gain, audioContext.currentTime, 0.02);
+                }
+                this.update();
             });
         });
+        this.inputGainInput.value = String(AppSettings.get('inputGainDb'));
+        this.inputGainInput.addEventListener('input', () => {
+            const gainDb = parseInt(this.inputGainInput.value, 10);
+            AppSettings.update({ inputGainDb: gainDb });
+            if (inputGain && audioContext && audioContext.state !== 'closed') {
+                inputGain.gain.setTargetAtTime(dbToGain(gainDb), audioContext.currentTime, 0.02);
+            }
+            this.update();
+        });
+        this.update();
+        this.updateHint();
+    }
 
-        // Double-click to rename
-        document.querySelectorAll('.recording-item .title').forEach(titleSpan => {
-            titleSpan.addEventListener('dblclick', (e) => {
-                const recordingItem = e.target.closest('.recording-item');
-                const type = recordingItem.dataset.type;
-                this.startRename(e.target, type);
-            });
+    update() {
+        const selected = this.sourceSelect.value;
+        this.levels.micGain.row.style.display = selected === 'tab' ? 'none' : '';
+        this.levels.tabGain.row.style.display = selected === 'mic' ? 'none' : '';
+        Object.values(this.levels).forEach(level => {
+            level.value.textContent = `${level.input.value}%`;
         });
+        const gainDb = parseInt(this.inputGainInput.value, 10);
+        this.inputGainValue.textContent = `${gainDb > 0 ? '+' : ''}${gainDb} dB`;
     }
 
-    playRecording(id, type) {
-        const recording = this.recordings[type].find(rec => rec.id === id);
-        if (recording) {
-            const recordingElement = document.querySelector(`.recording-item[data-id="${id}"]`);
-            audioPlayer.play(recording, recordingElement);
+    async updateHint() {
+        const selected = this.sourceSelect.value;
+        if (selected === 'mic') {
+            this.hint.textContent = '';
+            return;
+        }
+        let title = null;
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+            try {
+                const response = await chrome.runtime.sendMessage({ type: 'capture-tab' });
+                title = response && response.title;
+            } catch (e) {
+                console.warn('Could not look up the tab to capture:', e);
+            }
         }
+        if (this.sourceSelect.value !== selected) return;
+        this.hint.textContent = title
+            ? `Tab audio comes from "${title}".`
+            : 'You will be asked which tab to share. Turn on "Share tab audio" in that dialog.';
     }
 
+    // The source can't change mid-take, but the levels can
+    setRecording(recording) {
+        this.sourceSelect.disabled = recording;
+    }
+}
 
-    downloadRecording(id, type) {
-        const recording = this.recordings[type].find(rec => rec.id === id);
-        if (recording) {
-            const link = document.createElement('a');
-            link.href = recording.dataUrl;
-            // Determine file extension based on MIME type
-            let extension = 'webm'; // default
-            if (recording.dataUrl.includes('audio/ogg')) {
-                extension = 'ogg';
-            } else if (recording.dataUrl.includes('audio/mp4')) {
-                extension = 'mp4';
+// ShortcutManager Class: Every keyboard shortcut of the page, with a keymap that can be
+// changed in Settings and a help overlay (?). An action's run() returns false when it
+// doesn't apply right now, so the key keeps its usual meaning.
+class ShortcutManager {
+    static ACTIONS = [
+        { id: 'record-toggle', group: 'Recording', label: 'Start, pause or resume recording', key: 'R', run: () => pressButton('start') },
+        { id: 'record-stop', group: 'Recording', label: 'Stop recording', key: 'S', run: () => pressButton('stop') },
+        { id: 'record-retake', group: 'Recording', label: 'Retake from the chosen point (or the last few seconds)', key: 'Shift+R', run: () => pressButton('rerecord') },
+        {
+            id: 'marker', group: 'Recording', label: 'Add a marker (or a bookmark during playback)', key: 'M',
+            run: () => {
+                if (isRecording) return pressButton('marker');
+                if (!audioPlayer.currentAudio) return false;
+                audioPlayer.addMarker();
+            }
+        },
+        { id: 'play-pause', group: 'Playback', label: 'Play or pause', key: 'Space', run: () => ShortcutManager.withPlayer(() => audioPlayer.togglePlayPause()) },
+        { id: 'skip-back', group: 'Playback', label: 'Skip back', key: 'ArrowLeft', run: () => ShortcutManager.withPlayer(() => audioPlayer.skip(-1)) },
+        { id: 'skip-forward', group: 'Playback', label: 'Skip forward', key: 'ArrowRight', run: () => ShortcutManager.withPlayer(() => audioPlayer.skip(1)) },
+        { id: 'slower', group: 'Playback', label: 'Slower', key: '<', run: () => ShortcutManager.withPlayer(() => audioPlayer.stepPlaybackRate(-1)) },
+        { id: 'faster', group: 'Playback', label: 'Faster', key: '>', run: () => ShortcutManager.withPlayer(() => audioPlayer.stepPlaybackRate(1)) },
+        { id: 'loop-start', group: 'Playback', label: 'Set the loop start', key: '[', run: () => ShortcutManager.withPlayer(() => audioPlayer.setLoopPoint('start')) },
+        { id: 'loop-end', group: 'Playback', label: 'Set the loop end', key: ']', run: () => ShortcutManager.withPlayer(() => audioPlayer.setLoopPoint('end')) },
+        { id: 'loop-clear', group: 'Playback', label: 'Clear the loop', key: '\\', run: () => ShortcutManager.withPlayer(() => audioPlayer.clearLoop()) },
+        { id: 'queue-next', group: 'Playback', label: 'Next in the queue', key: 'Shift+N', run: () => ShortcutManager.withPlayer(() => audioPlayer.next()) },
+        { id: 'queue-previous', group: 'Playback', label: 'Previous in the queue', key: 'Shift+P', run: () => ShortcutManager.withPlayer(() => audioPlayer.previous()) },
+        { id: 'library-next', group: 'Library', label: 'Next recording', key: 'ArrowDown', run: () => library.moveActiveRow(1) },
+        { id: 'library-previous', group: 'Library', label: 'Previous recording', key: 'ArrowUp', run: () => library.moveActiveRow(-1) },
+        { id: 'library-play', group: 'Library', label: 'Play the recording', key: 'Enter', run: () => library.playActiveRow() },
+        { id: 'library-rename', group: 'Library', label: 'Rename the recording', key: 'F2', run: () => library.renameActiveRow() },
+        { id: 'library-delete', group: 'Library', label: 'Delete the recording (or the selection)', key: 'Delete', run: () => library.trashActiveRow() },
+        { id: 'help', group: 'General', label: 'Show keyboard shortcuts', key: '?', run: () => shortcuts.showHelp() }
+    ];
+
+    static KEY_NAMES = {
+        Space: 'Space',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓'
+    };
+
+    static withPlayer(action) {
+        if (!audioPlayer.currentAudio) return false;
+        action();
+    }
+
+    // "Ctrl+Shift+K" style name of a key press. Shift is part of characters like ? and <,
+    // so it is only spelled out for letters and named keys.
+    static comboFromEvent(e) {
+        let key = e.key;
+        if (['Control', 'Shift', 'Alt', 'Meta', 'Dead', 'Unidentified'].includes(key)) return null;
+        if (key === ' ') key = 'Space';
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.metaKey) parts.push('Meta');
+        if (e.shiftKey && (key.length > 1 || /^[a-z]$/i.test(key))) parts.push('Shift');
+        parts.push(key.length === 1 ? key.toUpperCase() : key);
+        return parts.join('+');
+    }
+
+    static displayCombo(combo) {
+        if (!combo) return 'None';
+        return combo.split('+').map(part => this.KEY_NAMES[part] || part).join(' + ');
+    }
+
+    constructor() {
+        this.helpDialog = document.getElementById('shortcutHelp');
+        this.helpList = document.getElementById('shortcutHelpList');
+        this.helpCommand = document.getElementById('shortcutHelpCommand');
+        this.editor = document.getElementById('keymapEditor');
+        this.editorStatus = document.getElementById('keymapStatus');
+
+        document.getElementById('shortcutHelpClose').addEventListener('click', () => this.helpDialog.close());
+        document.getElementById('shortcutHelpBtn').addEventListener('click', () => this.showHelp());
+        document.getElementById('keymapReset').addEventListener('click', () => {
+            AppSettings.update({ keymap: {} });
+            this.editorStatus.textContent = 'All shortcuts are back to their defaults.';
+            this.renderKeymap();
+        });
+        this.editor.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.classList.contains('keymap-clear')) {
+                this.assign(button.dataset.action, '');
+            } else {
+                this.capture(button);
             }
-            link.download = `${recording.name}.${extension}`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+        });
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    keyFor(id) {
+        const keymap = AppSettings.get('keymap');
+        return id in keymap ? keymap[id] : ShortcutManager.ACTIONS.find(action => action.id === id).key;
+    }
+
+    handleKeydown(e) {
+        // Held keys only repeat for the arrows (skipping and walking the list)
+        if (e.defaultPrevented || (e.repeat && !e.key.startsWith('Arrow'))) return;
+        // Text fields and open dialogs keep their own keys
+        const target = e.target;
+        const typing = ['TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable ||
+            (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type));
+        if (typing || document.querySelector('dialog[open]')) return;
+
+        const combo = ShortcutManager.comboFromEvent(e);
+        // Enter still clicks a focused button
+        if (!combo || (combo === 'Enter' && target.tagName === 'BUTTON')) return;
+        const action = ShortcutManager.ACTIONS.find(candidate => this.keyFor(candidate.id) === combo);
+        if (action && action.run() !== false) {
+            e.preventDefault();
         }
     }
 
-    improveRecording(id, type) {
-        const recording = this.recordings[type].find(rec => rec.id === id);
-        if (recording) {
-            // For now, just show an alert. In the future, this will process the audio with AI
-            alert(`AI improvement feature coming soon for "${recording.name}"!`);
-            
-            // Example of how you might copy to improved recordings later:
-            // const improvedRecording = {
-            //     ...recording,
-            //     id: `imp-${Date.now()}`,
-            //     name: `${recording.name} (AI Enhanced)`,
-            //     originalId: recording.id,
-            //     improvedAt: Date.now()
-            // };
-            // this.recordings.improved.unshift(improvedRecording);
-            // this.saveRecordings('improved');
-            // this.renderAIRecordings();
+    showHelp() {
+        const groups = new Map();
+        ShortcutManager.ACTIONS.forEach(action => {
+            if (!groups.has(action.group)) groups.set(action.group, []);
+            groups.get(action.group).push(action);
+        });
+        this.helpList.innerHTML = Array.from(groups, ([group, actions]) => `
+            <section class="shortcut-group">
+                <h4>${escapeHtml(group)}</h4>
+                ${actions.map(action => `
+                    <div class="shortcut-row">
+                        <span>${escapeHtml(action.label)}</span>
+                        <kbd>${escapeHtml(ShortcutManager.displayCombo(this.keyFor(action.id)))}</kbd>
+                    </div>
+                `).join('')}
+            </section>
+        `).join('');
+        this.renderCommandShortcut();
+        this.helpDialog.showModal();
+    }
+
+    // The browser-wide start/stop shortcut is set in Chrome, not here
+    async renderCommandShortcut() {
+        this.helpCommand.textContent = '';
+        if (typeof chrome === 'undefined' || !chrome.commands) return;
+        try {
+            const commands = await chrome.commands.getAll();
+            const command = commands.find(candidate => candidate.name === 'toggle-recording');
+            this.helpCommand.textContent = command && command.shortcut
+                ? `From any tab, ${command.shortcut} starts or stops recording. Change it at chrome://extensions/shortcuts.`
+                : 'Set a shortcut that starts or stops recording from any tab at chrome://extensions/shortcuts.';
+        } catch (e) {
+            console.warn('Could not read the extension shortcuts:', e);
         }
     }
 
-    startRename(titleElement, type) {
-        const id = titleElement.closest('.recording-item').dataset.id;
-        const recording = this.recordings[type].find(rec => rec.id === id);
-        const currentName = recording.name;
-        
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = currentName;
-        input.className = 'rename-input';
-        
-        titleElement.style.display = 'none';
-        titleElement.parentNode.insertBefore(input, titleElement);
-    
-        input.focus();
-        input.select();
-    
-        const finishRename = () => {
-            const newName = input.value.trim();
-            if (newName && newName !== currentName) {
-                recording.name = newName;
-                this.saveRecordings(type);
-            }
-            if (type === 'raw') {
-                this.renderRawRecordings();
-            } else {
-                this.renderAIRecordings();
+    renderKeymap() {
+        this.editor.innerHTML = ShortcutManager.ACTIONS.map(action => `
+            <div class="shortcut-row">
+                <span>${escapeHtml(action.label)}</span>
+                <button type="button" class="keymap-key" data-action="${action.id}" title="Click, then press the new key">${escapeHtml(ShortcutManager.displayCombo(this.keyFor(action.id)))}</button>
+                <button type="button" class="keymap-clear" data-action="${action.id}" title="Remove this shortcut">&#x2715;</button>
+            </div>
+        `).join('');
+    }
+
+    // Waits for the next key press on the button and makes it the action's shortcut
+    capture(button) {
+        button.textContent = 'Press a key...';
+        button.classList.add('capturing');
+        this.editorStatus.textContent = 'Press the new key, or Escape to cancel.';
+        const onKeydown = (e) => {
+            const combo = ShortcutManager.comboFromEvent(e);
+            if (!combo) return;
+            e.preventDefault();
+            e.stopPropagation();
+            button.removeEventListener('keydown', onKeydown, true);
+            button.removeEventListener('blur', onBlur);
+            if (combo === 'Escape') {
+                this.editorStatus.textContent = '';
+                this.renderKeymap();
+                return;
             }
+            this.assign(button.dataset.action, combo);
         };
-    
-        input.addEventListener('blur', finishRename);
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                finishRename();
-            }
-        });
+        const onBlur = () => {
+            button.removeEventListener('keydown', onKeydown, true);
+            this.renderKeymap();
+        };
+        button.addEventListener('keydown', onKeydown, true);
+        button.addEventListener('blur', onBlur, { once: true });
     }
-    
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+
+    // A key does one thing, so giving it to an action takes it away from any other
+    assign(id, combo) {
+        const keymap = { ...AppSettings.get('keymap'), [id]: combo };
+        const taken = combo && ShortcutManager.ACTIONS.find(action => action.id !== id && this.keyFor(action.id) === combo);
+        if (taken) {
+            keymap[taken.id] = '';
+            this.editorStatus.textContent = `${ShortcutManager.displayCombo(combo)} no longer does "${taken.label}".`;
+        } else {
+            this.editorStatus.textContent = '';
+        }
+        AppSettings.update({ keymap });
+        this.renderKeymap();
+    }
+}
+
+// Clicks a recorder button on behalf of a shortcut, if it is showing and enabled
+function pressButton(id) {
+    const button = document.getElementById(id);
+    if (!button || button.disabled || button.style.display === 'none') return false;
+    button.click();
+}
+
+// RecordingTimer Class: Accumulates active recording time, leaving out paused stretches
+class RecordingTimer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.accumulatedMs = 0;
+        this.segmentStart = null;
+    }
+
+    // A retake carries on the timeline from where the kept audio ends
+    start(offsetSeconds = 0) {
+        this.reset();
+        this.accumulatedMs = offsetSeconds * 1000;
+        this.segmentStart = performance.now();
+    }
+
+    pause() {
+        if (this.segmentStart !== null) {
+            this.accumulatedMs += performance.now() - this.segmentStart;
+            this.segmentStart = null;
+        }
+    }
+
+    resume() {
+        if (this.segmentStart === null) {
+            this.segmentStart = performance.now();
+        }
+    }
+
+    // Active time in seconds
+    elapsed() {
+        const running = this.segmentStart !== null ? performance.now() - this.segmentStart : 0;
+        return (this.accumulatedMs + running) / 1000;
     }
 }
 
+// Waveform columns per second of active recording time, so the canvas is a timeline
+const WAVEFORM_POINTS_PER_SECOND = 30;
+const WAVEFORM_POINT_WIDTH = 2;
+const AUTOSAVE_TIMESLICE_MS = 1000;
+// Longest pre-roll the voice activation delay line can hold
+const MAX_PRE_ROLL_SECONDS = 1;
+// Range of the input level meter
+const LEVEL_METER_MIN_DB = -60;
+// Kept and retaken audio are joined at one rate, with a short crossfade so the join doesn't click
+const RETAKE_SAMPLE_RATE = 48000;
+const RETAKE_CROSSFADE_SECONDS = 0.01;
+
 // Existing Voice Recorder Logic
 let mediaRecorder;
 let audioChunks = [];
@@ -725,19 +6135,54 @@ let canvasCtx;
 let isRecording = false;
 let isPaused = false;
 let fullWaveformData = [];
-let recordingStartTime;
-let elapsedRecordingTime = 0; // In seconds
+let recordingMarkers = [];
+let recordingTimer = new RecordingTimer();
 let stream;
 let source;
+let tabStream = null;
+let tabSource = null;
+let inputSource = 'mic'; // What the take in progress records: 'mic', 'tab' or 'both'
+let micGain;
+let tabGain;
+let inputGain; // Master gain after the source mix, ahead of the recorder
+let meterNode;
+let recordDestination;
+let preRollDelay;
+let voiceActivation = null; // Set while a voice-activated take is in progress
+let vadPauseTimeout = null;
+let autosaveSession;
+let currentTake = null; // Limits and part bookkeeping of the take being recorded
+let scheduledStopTimeout = null;
+let retakePoint = null; // Seconds into the current part, picked on the waveform while paused
 let animationId;
 let recordingTimeInterval;
 let library;
 let audioPlayer; 
+let exportDialog;
+let recordingEditor;
+let settingsPanel;
+let detailsDialog;
+let audioImporter;
+let scheduleDialog;
+let trashDialog;
+let mergeDialog;
+let sourceControls;
+let levelMeter;
+let shortcuts;
 
 document.addEventListener("DOMContentLoaded", () => {
     new DarkModeManager("#darkModeToggle");
     audioPlayer = new AudioPlayer();
     library = new RecordingLibrary();
+    exportDialog = new ExportDialog(library);
+    recordingEditor = new RecordingEditor(library);
+    detailsDialog = new RecordingDetailsDialog(library);
+    audioImporter = new AudioImporter(library);
+    trashDialog = new TrashDialog(library);
+    mergeDialog = new MergeDialog(library);
+    scheduleDialog = new ScheduleDialog();
+    sourceControls = new SourceControls();
+    levelMeter = new LevelMeter();
 
     canvas = document.getElementById("waveform");
     canvasCtx = canvas.getContext("2d");
@@ -746,36 +6191,71 @@ document.addEventListener("DOMContentLoaded", () => {
 
     document.getElementById("start").addEventListener("click", toggleRecording);
     document.getElementById("stop").addEventListener("click", stopRecording);
-    document.getElementById("rerecord").addEventListener("click", resetRecorder);
+    document.getElementById("rerecord").addEventListener("click", retake);
+    document.getElementById("retakeLast").addEventListener("click", () => {
+        retakePoint = null;
+        retake();
+    });
+    const retakeSeconds = document.getElementById("retakeSeconds");
+    retakeSeconds.value = String(AppSettings.get('retakeSeconds'));
+    retakeSeconds.addEventListener("change", () => {
+        AppSettings.update({ retakeSeconds: parseInt(retakeSeconds.value, 10) });
+        updateRetakeControls();
+    });
+    canvas.addEventListener("click", pickRetakePoint);
+    document.getElementById("marker").addEventListener("click", addMarker);
     document.getElementById("stop").disabled = true;
-    
-    // Settings button event listener
-    document.getElementById("settingsButton").addEventListener("click", () => alert("Settings button clicked!"));
-    document.addEventListener('keydown', (e) => {
-        if (audioPlayer.currentAudio && e.target.tagName !== 'INPUT') {
-            if (e.code === 'Space') {
-                e.preventDefault();
-                audioPlayer.togglePlayPause();
-            } else if (e.code === 'ArrowRight') {
-                audioPlayer.currentAudio.currentTime += 5;
-            } else if (e.code === 'ArrowLeft') {
-                audioPlayer.currentAudio.currentTime -= 5;
-            }
+
+    // Closing or reloading the tab mid-take would cut the recording short
+    window.addEventListener('beforeunload', (e) => {
+        if (isRecording) {
+            e.preventDefault();
+            e.returnValue = '';
         }
     });
+
+    // Settings panel (wires up #settingsButton)
+    settingsPanel = new SettingsPanel();
+
+    // A scheduled recording that is due arrives as #scheduled=<id>, whether the
+    // background script opened this page for it or pointed an open page at it
+    window.addEventListener('hashchange', startDueScheduledRecording);
+    startDueScheduledRecording();
+    reportMissedSchedules();
+    shortcuts = new ShortcutManager();
+    handleRecorderCommand();
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+        chrome.runtime.onMessage.addListener(handleRecorderMessage);
+    }
 });
 
 async function toggleRecording() {
     if (isRecording) {
         if (!isPaused) {
-            mediaRecorder.pause();
+            // Voice activation may already have paused the recorder during silence
+            if (mediaRecorder.state === 'recording') {
+                mediaRecorder.pause();
+            }
+            recordingTimer.pause();
             isPaused = true;
             document.getElementById("start").innerHTML = "&#9658;"; // Play icon
             cancelAnimationFrame(animationId);
             clearInterval(recordingTimeInterval);
+            updateRetakeControls();
         } else {
-            mediaRecorder.resume();
+            // The microphone may have been unplugged while paused
+            if (!(await ensureLiveInput())) return;
+            if (voiceActivation) {
+                // Wait for speech again rather than recording the silence
+                voiceActivation.reset();
+            } else {
+                mediaRecorder.resume();
+                recordingTimer.resume();
+            }
             isPaused = false;
+            updateRetakeControls();
+            redrawWaveform();
+            updateVadStatus();
             document.getElementById("start").innerHTML = "&#9208;"; // Pause icon
             drawProgressiveWaveform();
             startRecordingTime();
@@ -785,86 +6265,727 @@ async function toggleRecording() {
     }
 }
 
-async function startNewRecording() {
+async function startNewRecording({ stopAt = null } = {}) {
     try {
         console.log("Starting new recording...");
-        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        inputSource = AppSettings.get('recordingSource');
+        // Ask for the tab first, while the click that started the take still counts for the share dialog
+        const tabCapture = inputSource !== 'mic' ? await openTabStream() : null;
+        tabStream = tabCapture && tabCapture.stream;
+        stream = inputSource !== 'tab' ? await openInputStream() : null;
         
-        // Determine the best supported MIME type
-        let mimeType = 'audio/webm';
-        if (MediaRecorder.isTypeSupported('audio/webm')) {
-            mimeType = 'audio/webm';
-        } else if (MediaRecorder.isTypeSupported('audio/ogg')) {
-            mimeType = 'audio/ogg';
-        } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
-            mimeType = 'audio/mp4';
+        // Use the format and bitrate chosen in settings
+        const { mimeType, audioBitsPerSecond } = RecordingFormat.resolve();
+
+        // Record from an AudioContext graph rather than the raw microphone
+        // stream, so the input can be swapped mid-take (e.g. a headset is
+        // unplugged) without interrupting the MediaRecorder
+        const trackSampleRate = (stream || tabStream).getAudioTracks()[0].getSettings().sampleRate;
+        audioContext = new (window.AudioContext || window.webkitAudioContext)(
+            trackSampleRate ? { sampleRate: trackSampleRate } : undefined
+        );
+        if (audioContext.state === 'suspended') {
+            // Without a click (e.g. a scheduled start) the browser may hold audio back
+            const context = audioContext;
+            showRecorderNotice('Click anywhere on the page to start capturing audio.');
+            document.addEventListener('click', () => context.resume(), { once: true });
+            context.resume().then(() => showRecorderNotice(''));
         }
-        
-        // Store mimeType in a variable accessible to the onstop handler
-        const recordingMimeType = mimeType;
-        
-        mediaRecorder = new MediaRecorder(stream, { mimeType });
-        console.log("MediaRecorder created with mimeType:", mimeType);
-        
-        audioChunks = [];
-        fullWaveformData = [];
-        isRecording = true;
-        isPaused = false;
+        analyser = audioContext.createAnalyser();
+        recordDestination = audioContext.createMediaStreamDestination();
+        recordDestination.channelCount = AppSettings.get('channelCount');
+        // In voice-activated mode the recorder hears the input a little late, so when
+        // speech resumes a paused take the start of it is still in the delay line
+        const voiceActivated = AppSettings.get('vadEnabled');
+        preRollDelay = audioContext.createDelay(MAX_PRE_ROLL_SECONDS);
+        preRollDelay.delayTime.value = voiceActivated
+            ? Math.min(MAX_PRE_ROLL_SECONDS, AppSettings.get('vadPreRollMs') / 1000)
+            : 0;
+        preRollDelay.connect(recordDestination);
+        // Each source has its own level; the mix goes through the input gain, which
+        // feeds the analyser, the level meter and the recorder
+        inputGain = audioContext.createGain();
+        inputGain.gain.value = dbToGain(AppSettings.get('inputGainDb'));
+        inputGain.connect(analyser);
+        inputGain.connect(preRollDelay);
+        await audioContext.audioWorklet.addModule('level-meter-worklet.js');
+        meterNode = new AudioWorkletNode(audioContext, 'level-meter', { numberOfOutputs: 0 });
+        meterNode.port.onmessage = (e) => handleMeterReading(e.data);
+        inputGain.connect(meterNode);
+        micGain = audioContext.createGain();
+        micGain.gain.value = AppSettings.get('micGain');
+        micGain.connect(inputGain);
+        tabGain = audioContext.createGain();
+        tabGain.gain.value = AppSettings.get('tabGain');
+        tabGain.connect(inputGain);
+        if (stream) {
+            connectInputStream(stream);
+        }
+        if (tabStream) {
+            connectTabStream(tabStream, tabCapture.monitor);
+        }
+        sourceControls.setRecording(true);
 
-        recordingStartTime = Date.now();
-        elapsedRecordingTime = 0;
+        const recorderOptions = { audioBitsPerSecond };
+        if (mimeType) {
+            recorderOptions.mimeType = mimeType;
+        }
+        // Limits are fixed when the take starts, so changing settings mid-take has no effect
+        currentTake = {
+            recorderOptions,
+            name: `Recording ${library.recordings.raw.length + 1}`,
+            stopAfterSeconds: AppSettings.get('stopAfterMinutes') * 60,
+            maxBytes: AppSettings.get('maxSizeMb') * 1024 * 1024,
+            splitSeconds: AppSettings.get('splitMinutes') * 60,
+            partCount: 0,
+            partBytes: 0,
+            elapsedBefore: 0, // Active time recorded in earlier parts
+            stopReason: ''
+        };
 
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        analyser = audioContext.createAnalyser();
-        source = audioContext.createMediaStreamSource(stream);
-        source.connect(analyser);
+        isRecording = true;
+        isPaused = false;
 
         analyser.fftSize = 2048;
         let bufferLength = analyser.frequencyBinCount;
         dataArray = new Uint8Array(bufferLength);
+        levelMeter.reset();
+        levelMeter.show();
 
+        startRecorderPart();
         drawProgressiveWaveform();
         startRecordingTime();
 
-        mediaRecorder.ondataavailable = event => {
-            if (event.data.size > 0) {
-                audioChunks.push(event.data);
-            }
-        };
-
-        mediaRecorder.onstop = () => {
-            console.log("MediaRecorder stopped");
-            // Use the recordingMimeType variable here
-            const audioBlob = new Blob(audioChunks, { type: recordingMimeType });
-            const duration = (Date.now() - recordingStartTime) / 1000;
-            library.addRecording(audioBlob, duration);
-            resetRecorder();
-        };
-
-        mediaRecorder.start();
+        if (voiceActivated) {
+            // Nothing is recorded until someone speaks
+            mediaRecorder.pause();
+            recordingTimer.pause();
+            voiceActivation = new VoiceActivation({ onSpeech: handleSpeechStart, onSilence: handleSilence });
+            updateVadStatus();
+        }
+        if (stopAt) {
+            // A scheduled slot ends at a wall-clock time, pauses included
+            scheduledStopTimeout = setTimeout(() => {
+                scheduledStopTimeout = null;
+                stopTake('The scheduled recording finished.');
+            }, Math.max(0, stopAt - Date.now()));
+        }
         console.log("MediaRecorder state:", mediaRecorder.state);
         document.getElementById("start").innerHTML = "&#9208;";
         
         // Make sure the stop button is enabled after everything is set up
         const stopButton = document.getElementById("stop");
         stopButton.disabled = false;
+        document.getElementById("marker").disabled = false;
         console.log("Stop button disabled state:", stopButton.disabled);
         
         document.getElementById("rerecord").style.display = 'none';
+        return true;
 
     } catch (err) {
         console.error("The following error occurred: " + err);
-        alert("Microphone access was denied. Please allow it to use the recorder.");
+        if (tabStream) {
+            tabStream.getTracks().forEach(track => track.stop());
+            tabStream = null;
+        }
+        if (err.name === 'TabCaptureError') {
+            alert(err.message);
+        } else if (err.name === 'NotFoundError') {
+            alert("No microphone was found. Connect one and try again.");
+        } else {
+            alert("Microphone access was denied. Please allow it to use the recorder.");
+        }
         // Reset the state if there's an error
         isRecording = false;
+        currentTake = null;
         document.getElementById("start").innerHTML = "&#x1F3A4;";
+        return false;
+    }
+}
+
+// Starts a new part of the take. A take that is split runs one per part; each part has
+// its own chunks and autosave session and becomes its own recording.
+function startRecorderPart() {
+    const take = currentTake;
+    const part = {
+        number: ++take.partCount,
+        startedAt: Date.now(),
+        summary: null,
+        clippedSamples: 0,
+        // Audio kept from before a retake point, joined to the new audio when the part is saved
+        kept: null,
+        keptSeconds: 0,
+        replacedSessions: []
+    };
+    take.currentPart = part;
+    take.partBytes = 0;
+
+    fullWaveformData = [];
+    recordingMarkers = [];
+    retakePoint = null;
+    renderLiveMarkers();
+    canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
+    recordingTimer.start();
+
+    // Once a newer part takes over, this one keeps what it had when it was split off
+    part.summarize = () => part.summary || {
+        duration: recordingTimer.elapsed(),
+        // Very short takes may not have any live levels yet; those get peaks from decoding
+        peaks: fullWaveformData.length > 0 ? resamplePeaks(fullWaveformData) : undefined,
+        markers: recordingMarkers.length > 0 ? recordingMarkers.slice() : undefined
+    };
+    part.freeze = () => {
+        part.summary = part.summarize();
+    };
+
+    startPartRecorder(part);
+}
+
+// Starts the MediaRecorder that captures a part. A retake stops it and starts a new one
+// for the same part.
+function startPartRecorder(part) {
+    const take = currentTake;
+    const recorder = new MediaRecorder(recordDestination.stream, take.recorderOptions);
+    // The browser reports the exact container and codec it settled on
+    const recordingMimeType = recorder.mimeType || take.recorderOptions.mimeType;
+    console.log("MediaRecorder created with mimeType:", recordingMimeType);
+
+    const chunks = [];
+    const session = new AutosaveSession(recordingMimeType);
+    Object.assign(part, { recorder, chunks, session, mimeType: recordingMimeType });
+    mediaRecorder = recorder;
+    audioChunks = chunks;
+    autosaveSession = session;
+
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+            const { duration, peaks, markers } = part.summarize();
+            session.addChunk(event.data, duration, peaks, markers);
+            if (part === take.currentPart) {
+                take.partBytes += event.data.size;
+                checkRecordingLimits();
+            }
+        }
+    };
+
+    recorder.onstop = async () => {
+        // A retake stopped this recorder to cut its audio, and the part goes on
+        if (part.recorder !== recorder) return;
+        console.log("MediaRecorder stopped");
+        const isLastPart = part === take.currentPart;
+        if (isLastPart) {
+            recordingTimer.pause();
+        }
+        let audioBlob = new Blob(chunks, { type: recordingMimeType });
+        const { duration, peaks, markers } = part.summarize();
+        if (isLastPart) {
+            resetRecorder();
+            if (take.stopReason) {
+                showRecorderNotice(take.stopReason);
+            }
+        }
+        const extra = {
+            peaks,
+            markers,
+            mimeType: recordingMimeType,
+            audioBitsPerSecond: take.recorderOptions.audioBitsPerSecond
+        };
+        if (part.kept) {
+            try {
+                const encoding = retakeEncoding(part, take);
+                audioBlob = await stitchRetake(part.kept, audioBlob, encoding);
+                extra.mimeType = audioBlob.type;
+                if (encoding.format === 'mp3') {
+                    extra.audioBitsPerSecond = encoding.bitrate * 1000;
+                } else {
+                    delete extra.audioBitsPerSecond;
+                }
+            } catch (e) {
+                // Save the audio after the retake point on its own rather than lose it
+                console.error('Failed to join the retake:', e);
+                showRecorderNotice('The retake could not be joined to the audio before it, so only the audio recorded after the retake point was saved.');
+            }
+        }
+        if (part.clippedSamples > 0) {
+            extra.clippedSamples = part.clippedSamples;
+        }
+        if (take.partCount > 1) {
+            extra.name = `${take.name} - part ${part.number}`;
+            extra.timestamp = part.startedAt;
+        }
+        const recording = await library.addRecording(audioBlob, duration, 'raw', extra);
+        const sessions = [...part.replacedSessions, session];
+        sessions.forEach(autosave => recording.unsaved ? autosave.release() : autosave.discard());
+        // The timer can drift from what the encoder actually captured, so
+        // confirm the length from the decoded audio
+        library.updateFromDecodedAudio(recording, audioBlob);
+    };
+
+    // Emit a chunk every second so it can be autosaved
+    recorder.start(AUTOSAVE_TIMESLICE_MS);
+}
+
+// Punch-in: throws away everything in the current part after `seconds` and records again
+// from there. The audio before the point is decoded and kept in memory; when the part is
+// saved it is joined to what was recorded after the retake.
+async function retakeFrom(seconds) {
+    const take = currentTake;
+    const part = take && take.currentPart;
+    if (!part || !part.recorder || !isPaused || take.stopping) return;
+    const point = Math.max(0, Math.min(seconds, recordingTimer.elapsed()));
+    const recorder = part.recorder;
+    part.recorder = null;
+    setRetakeBusy(true);
+    showRecorderNotice('Preparing the retake...');
+
+    await new Promise(resolve => {
+        recorder.addEventListener('stop', resolve, { once: true });
+        recorder.stop();
+    });
+    try {
+        if (point <= part.keptSeconds) {
+            part.kept = point > 0 && part.kept ? sliceAudioBuffer(part.kept, point) : null;
+        } else {
+            const recorded = await decodeAudioBlob(new Blob(part.chunks, { type: part.mimeType }), RETAKE_SAMPLE_RATE);
+            const fresh = sliceAudioBuffer(recorded, point - part.keptSeconds);
+            part.kept = part.kept ? RecordingMerger.join([part.kept, fresh]) : fresh;
+        }
+        showRecorderNotice('');
+    } catch (e) {
+        // The audio since the last retake can't be cut, so save it whole rather than lose it
+        console.error('Failed to prepare the retake:', e);
+        library.addRecording(new Blob(part.chunks, { type: part.mimeType }), recordingTimer.elapsed() - part.keptSeconds, 'raw', {
+            name: `${take.name} (before retake)`,
+            mimeType: part.mimeType
+        });
+        showRecorderNotice('The recording could not be cut at that point, so the audio before the retake was saved as a separate recording.');
+    }
+    part.keptSeconds = part.kept ? part.kept.duration : 0;
+    // The part's size starts over from what the kept audio will add to the saved file
+    take.partBytes = part.kept ? estimateRetakeBytes(part.kept, retakeEncoding(part, take)) : 0;
+    // Keep the autosaved audio until the part is saved, in case the tab closes before then
+    part.replacedSessions.push(part.session);
+
+    // Everything after the point goes from the timeline as well
+    fullWaveformData = fullWaveformData.slice(0, Math.floor(part.keptSeconds * WAVEFORM_POINTS_PER_SECOND));
+    recordingMarkers = recordingMarkers.filter(marker => marker.time < part.keptSeconds);
+    retakePoint = null;
+    renderLiveMarkers();
+    redrawWaveform();
+
+    recordingTimer.start(part.keptSeconds);
+    recordingTimer.pause();
+    startPartRecorder(part);
+    mediaRecorder.pause();
+    setRetakeBusy(false);
+    if (take.stopReason) {
+        // A limit or the end of a schedule came up while the retake was being prepared
+        stopRecording();
+        return;
+    }
+    // Carry on recording from the point straight away
+    await toggleRecording();
+}
+
+// Retakes from the point picked on the waveform, or else the last few seconds
+function retake() {
+    if (retakePoint !== null) {
+        retakeFrom(retakePoint);
+    } else {
+        retakeFrom(recordingTimer.elapsed() - AppSettings.get('retakeSeconds'));
+    }
+}
+
+// Joins the audio kept by retakes with the audio recorded after the last one
+async function stitchRetake(kept, blob, encoding) {
+    const buffers = [kept];
+    if (blob.size > 0) {
+        buffers.push(await decodeAudioBlob(blob, RETAKE_SAMPLE_RATE));
+    }
+    const output = RecordingMerger.join(buffers, { crossfadeSeconds: RETAKE_CROSSFADE_SECONDS });
+    return AudioExporter.encode(output, encoding);
+}
+
+// The recorder's own container can't be written from decoded audio, so a retaken part is
+// encoded by the exporter: MP3 at the take's bitrate, or WAV if the take is uncompressed
+function retakeEncoding(part, take) {
+    if ((part.mimeType || '').includes('pcm')) {
+        return { format: 'wav', bitDepth: 16 };
+    }
+    return { format: 'mp3', bitrate: Math.round(take.recorderOptions.audioBitsPerSecond / 1000) };
+}
+
+// Bytes the kept audio will take up in the stitched file, counted toward the size limit
+function estimateRetakeBytes(buffer, encoding) {
+    if (encoding.format === 'wav') {
+        return buffer.length * buffer.numberOfChannels * (encoding.bitDepth / 8);
+    }
+    return buffer.duration * encoding.bitrate * 1000 / 8;
+}
+
+function setRetakeBusy(busy) {
+    ['start', 'stop', 'rerecord', 'retakeLast'].forEach(id => {
+        document.getElementById(id).disabled = busy;
+    });
+}
+
+// The retake controls show while a take is paused
+function updateRetakeControls() {
+    const show = isRecording && isPaused;
+    document.getElementById("rerecord").style.display = show ? '' : 'none';
+    document.getElementById("retakeControls").style.display = show ? 'flex' : 'none';
+    if (!show) {
+        retakePoint = null;
+        return;
+    }
+    document.getElementById("rerecord").title = retakePoint !== null
+        ? `Record again from ${formatTimeDisplay(retakePoint)}`
+        : `Record the last ${AppSettings.get('retakeSeconds')} seconds again`;
+    const savedAs = retakeEncoding(currentTake.currentPart, currentTake).format.toUpperCase();
+    document.getElementById("retakeHint").textContent = retakePoint !== null
+        ? `Recording again replaces everything after ${formatTimeDisplay(retakePoint)}. The recording is then saved as ${savedAs}.`
+        : 'Click the waveform to choose where to record again from.';
+}
+
+// Picks the retake point on the live waveform while the take is paused
+function pickRetakePoint(e) {
+    if (!isRecording || !isPaused || !currentTake || !currentTake.currentPart.recorder) return;
+    const x = e.offsetX * (canvas.width / canvas.clientWidth);
+    const seconds = x / (WAVEFORM_POINTS_PER_SECOND * WAVEFORM_POINT_WIDTH);
+    retakePoint = Math.max(0, Math.min(recordingTimer.elapsed(), seconds));
+    redrawWaveform();
+    updateRetakeControls();
+}
+
+// Ends the current part and carries on in a new one. The new recorder starts before the
+// old one stops, so the parts overlap by a moment rather than dropping audio between them.
+function splitRecording() {
+    const take = currentTake;
+    const previous = take.currentPart;
+    const wasPaused = previous.recorder.state === 'paused';
+    // Keep the old part's length, levels and markers before the new part resets them
+    previous.freeze();
+    take.elapsedBefore += previous.summary.duration;
+    startRecorderPart();
+    if (wasPaused) {
+        // Voice activation had paused for silence, so the new part waits for speech too
+        mediaRecorder.pause();
+        recordingTimer.pause();
+    }
+    previous.recorder.stop();
+}
+
+// Applies the time, size and split limits; runs with the length display and on every chunk
+function checkRecordingLimits() {
+    const take = currentTake;
+    if (!take || !isRecording || isPaused || take.stopping) return;
+    const partSeconds = recordingTimer.elapsed();
+    if (take.stopAfterSeconds && take.elapsedBefore + partSeconds >= take.stopAfterSeconds) {
+        stopTake(`Stopped at the ${formatLimitMinutes(take.stopAfterSeconds)} time limit.`);
+    } else if (take.maxBytes && take.partBytes >= take.maxBytes) {
+        stopTake(`Stopped at the ${Math.round(take.maxBytes / (1024 * 1024))} MB file size limit.`);
+    } else if (take.splitSeconds && partSeconds >= take.splitSeconds) {
+        splitRecording();
+    }
+}
+
+function formatLimitMinutes(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return minutes % 60 === 0 ? `${minutes / 60} hour` : `${minutes} minute`;
+}
+
+// Stops the take on its own (a limit or the end of a schedule) and says why once it's saved
+function stopTake(reason) {
+    if (!currentTake || currentTake.stopping) return;
+    currentTake.stopReason = reason;
+    stopRecording();
+}
+
+// Starts the scheduled recording named in the URL hash, if any
+async function startDueScheduledRecording() {
+    const match = location.hash.match(/^#scheduled=(.+)$/);
+    if (!match) return;
+    history.replaceState(null, '', location.pathname + location.search);
+    const schedule = RecordingScheduler.take(decodeURIComponent(match[1]));
+    if (!schedule) return;
+
+    const stopAt = RecordingScheduler.endTime(schedule);
+    const startTime = new Date(schedule.startAt).toLocaleString();
+    if (Date.now() >= stopAt) {
+        showRecorderNotice(`The recording scheduled for ${startTime} was missed.`);
+    } else if (isRecording) {
+        showRecorderNotice(`The recording scheduled for ${startTime} did not start because another recording was in progress.`);
+    } else if (await startNewRecording({ stopAt }) && audioContext.state === 'running') {
+        // While audio is still held back, the notice asking for a click stays up instead
+        showRecorderNotice(`Scheduled recording - stops at ${new Date(stopAt).toLocaleTimeString()}.`);
+    }
+}
+
+// The start/stop command from the extension's keyboard shortcut (manifest "commands").
+// background.js opens the recorder with #command=toggle-recording if no recorder is open.
+function handleRecorderCommand() {
+    if (location.hash !== '#command=toggle-recording') return;
+    history.replaceState(null, '', location.pathname + location.search);
+    toggleRecordingByCommand();
+}
+
+// background.js sends the command to one recorder tab only, and waits for the reply
+function handleRecorderMessage(message, sender, sendResponse) {
+    if (message.type !== 'toggle-recording') return false;
+    toggleRecordingByCommand();
+    sendResponse({ ok: true });
+    return false;
+}
+
+function toggleRecordingByCommand() {
+    if (isRecording) {
+        stopRecording();
+    } else {
+        startNewRecording();
+    }
+}
+
+// Alarms don't fire while the browser is closed, so mention slots that went by
+function reportMissedSchedules() {
+    const missed = RecordingScheduler.pruneMissed();
+    if (missed.length > 0 && !isRecording) {
+        showRecorderNotice(missed.length === 1
+            ? `The recording scheduled for ${new Date(missed[0].startAt).toLocaleString()} was missed because the browser was closed.`
+            : `${missed.length} scheduled recordings were missed because the browser was closed.`);
+    }
+}
+
+// Opens the microphone chosen in settings, falling back to the system default
+// if that device is no longer connected
+async function openInputStream() {
+    try {
+        return await navigator.mediaDevices.getUserMedia({ audio: AppSettings.getAudioConstraints() });
+    } catch (err) {
+        if (AppSettings.get('deviceId') && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError')) {
+            showRecorderNotice('The selected microphone is not connected. Using the system default instead.');
+            return navigator.mediaDevices.getUserMedia({ audio: AppSettings.getAudioConstraints({ ignoreDevice: true }) });
+        }
+        throw err;
+    }
+}
+
+// Feeds a microphone stream into the mix
+function connectInputStream(inputStream) {
+    source = audioContext.createMediaStreamSource(inputStream);
+    source.connect(micGain);
+    inputStream.getAudioTracks().forEach(track => {
+        track.addEventListener('ended', () => checkInputDevice());
+    });
+}
+
+// Replaces the live input while the MediaRecorder keeps running
+function switchInputStream(newStream) {
+    if (source) {
+        source.disconnect();
+    }
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+    stream = newStream;
+    connectInputStream(stream);
+}
+
+function hasLiveInput() {
+    // Without a microphone in the take there is nothing to reopen
+    if (inputSource === 'tab') return true;
+    return !!stream && stream.getAudioTracks().some(track => track.readyState === 'live');
+}
+
+// Reopens the microphone if the current one has gone away. Returns false if no input is available.
+async function ensureLiveInput() {
+    if (hasLiveInput()) return true;
+    try {
+        switchInputStream(await openInputStream());
+        showRecorderNotice(`Recording from "${stream.getAudioTracks()[0].label || 'microphone'}".`);
+        return true;
+    } catch (err) {
+        console.error("No microphone available:", err);
+        showRecorderNotice('No microphone is available. Connect one and press resume.');
+        return false;
+    }
+}
+
+// Called on devicechange and when an input track ends: if the microphone in
+// use disappeared mid-session, move to another input or pause the take
+async function checkInputDevice() {
+    if (!isRecording || hasLiveInput()) return;
+    if (!isPaused) {
+        await toggleRecording(); // pause so the gap is not recorded
+        const recovered = await ensureLiveInput();
+        if (recovered) {
+            await toggleRecording(); // resume on the new input
+            showRecorderNotice(`Microphone disconnected - now recording from "${stream.getAudioTracks()[0].label || 'the default input'}".`);
+        } else {
+            showRecorderNotice('Microphone disconnected. Recording is paused; connect a microphone and press resume.');
+        }
+    }
+}
+
+// Re-opens the input with the current settings if a take is in progress
+async function applyInputSettings() {
+    if (!isRecording || inputSource === 'tab') return;
+    try {
+        switchInputStream(await openInputStream());
+        recordDestination.channelCount = AppSettings.get('channelCount');
+    } catch (err) {
+        console.error("Failed to apply input settings:", err);
+        showRecorderNotice('The new microphone settings could not be applied.');
+    }
+}
+
+// Captures the sound of a browser tab. The tab the toolbar button was last clicked on
+// can be captured directly; otherwise the user picks a tab in the browser's share dialog.
+async function openTabStream() {
+    const streamId = await requestTabCaptureStreamId();
+    if (streamId) {
+        const captured = await navigator.mediaDevices.getUserMedia({
+            audio: { mandatory: { chromeMediaSource: 'tab', chromeMediaSourceId: streamId } }
+        });
+        // A tab captured this way goes quiet, so it is played back as well as recorded
+        return { stream: captured, monitor: true };
+    }
+
+    let display;
+    try {
+        display = await navigator.mediaDevices.getDisplayMedia({
+            video: true, // required by the share dialog even though only the audio is kept
+            audio: { suppressLocalAudioPlayback: false },
+            preferCurrentTab: false,
+            selfBrowserSurface: 'exclude'
+        });
+    } catch (err) {
+        throw tabCaptureError('Tab audio was not shared, so the recording did not start.');
+    }
+    display.getVideoTracks().forEach(track => track.stop());
+    if (display.getAudioTracks().length === 0) {
+        throw tabCaptureError('The shared tab has no audio. Share a tab again and turn on "Share tab audio".');
+    }
+    return { stream: display, monitor: false };
+}
+
+function tabCaptureError(message) {
+    const error = new Error(message);
+    error.name = 'TabCaptureError';
+    return error;
+}
+
+// The background script hands out a capture id for the tab the toolbar button was clicked on
+async function requestTabCaptureStreamId() {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) return null;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'tab-capture-stream-id' });
+        return response && response.streamId;
+    } catch (e) {
+        console.warn('Tab capture is not available:', e);
+        return null;
+    }
+}
+
+function connectTabStream(inputStream, monitor) {
+    tabSource = audioContext.createMediaStreamSource(inputStream);
+    tabSource.connect(tabGain);
+    if (monitor) {
+        tabSource.connect(audioContext.destination);
+    }
+    inputStream.getAudioTracks().forEach(track => {
+        track.addEventListener('ended', handleTabAudioEnded);
+    });
+}
+
+// The shared tab was closed or sharing was stopped from the browser's bar
+function handleTabAudioEnded() {
+    if (!isRecording) return;
+    if (inputSource === 'tab') {
+        stopTake('Stopped because the tab audio is no longer shared.');
+    } else {
+        showRecorderNotice('Tab audio is no longer shared. Recording continues from the microphone.');
+    }
+}
+
+function levelToPercent(levelDb) {
+    return Math.max(0, Math.min(100, (1 - levelDb / LEVEL_METER_MIN_DB) * 100));
+}
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Readings arrive from the level meter worklet several times per second, paused or not
+function handleMeterReading(reading) {
+    if (!isRecording) return;
+    levelMeter.update(reading);
+    // The worklet keeps posting while the tab is hidden, unlike the waveform's animation frames
+    if (voiceActivation && !isPaused) {
+        voiceActivation.update(LevelMeter.toDb(reading.rms));
+    }
+    // Only samples that reach the file count as clipped in the saved recording
+    if (reading.clipped > 0 && currentTake && mediaRecorder.state === 'recording') {
+        currentTake.currentPart.clippedSamples += reading.clipped;
+    }
+}
+
+// Voice activation: speech resumes the take and silence pauses it. A manual pause wins over both.
+function handleSpeechStart() {
+    if (!isRecording || isPaused) return;
+    if (vadPauseTimeout) {
+        // Speech came back before the previous pause took effect, so just keep recording
+        clearTimeout(vadPauseTimeout);
+        vadPauseTimeout = null;
+        updateVadStatus();
+        return;
+    }
+    mediaRecorder.resume();
+    recordingTimer.resume();
+    updateVadStatus();
+}
+
+function handleSilence() {
+    if (!isRecording || isPaused) return;
+    // The recorder hears the input through the pre-roll delay, so wait for the end of
+    // the speech to pass through before pausing
+    vadPauseTimeout = setTimeout(() => {
+        vadPauseTimeout = null;
+        if (!isRecording || isPaused || mediaRecorder.state !== 'recording') return;
+        mediaRecorder.pause();
+        recordingTimer.pause();
+        updateVadStatus();
+    }, preRollDelay.delayTime.value * 1000);
+    updateVadStatus();
+}
+
+function updateVadStatus() {
+    const status = document.getElementById('vadStatus');
+    if (!voiceActivation || !isRecording) {
+        status.textContent = '';
+    } else if (isPaused) {
+        status.textContent = 'Paused';
+    } else {
+        status.textContent = voiceActivation.speaking
+            ? 'Voice detected - recording'
+            : 'Listening - recording starts when you speak';
     }
+    status.classList.toggle('speaking', !!(voiceActivation && voiceActivation.speaking && !isPaused));
+}
+
+function showRecorderNotice(message) {
+    const notice = document.getElementById("recorderNotice");
+    notice.textContent = message;
+    notice.style.display = message ? 'block' : 'none';
 }
 function startRecordingTime() {
     clearInterval(recordingTimeInterval);
     recordingTimeInterval = setInterval(() => {
-        elapsedRecordingTime = (Date.now() - recordingStartTime) / 1000;
-        document.getElementById("recording-length").textContent = `Recording length: ${formatTimeDisplay(elapsedRecordingTime)}`;
+        const take = currentTake;
+        const part = take && take.partCount > 1 ? ` (part ${take.partCount})` : '';
+        const elapsed = (take ? take.elapsedBefore : 0) + recordingTimer.elapsed();
+        document.getElementById("recording-length").textContent = `Recording length: ${formatTimeDisplay(elapsed)}${part}`;
+        checkRecordingLimits();
     }, 100);
 }
 
@@ -891,7 +7012,18 @@ function stopRecording() {
     
     if (mediaRecorder && (mediaRecorder.state === "recording" || mediaRecorder.state === "paused")) {
         console.log("Stopping recorder...");
-        mediaRecorder.stop();
+        if (currentTake) {
+            currentTake.stopping = true;
+        }
+        // Let the audio still in the pre-roll delay line reach the recorder first
+        const flushMs = mediaRecorder.state === "recording" && preRollDelay ? preRollDelay.delayTime.value * 1000 : 0;
+        if (flushMs > 0) {
+            document.getElementById("stop").disabled = true;
+            const recorder = mediaRecorder;
+            setTimeout(() => recorder.stop(), flushMs);
+        } else {
+            mediaRecorder.stop();
+        }
         // The rest of the cleanup is now handled in the mediaRecorder.onstop event handler
     } else {
         console.log("Recorder not in correct state to stop");
@@ -901,24 +7033,55 @@ function stopRecording() {
 function resetRecorder() {
     audioChunks = [];
     fullWaveformData = [];
+    recordingMarkers = [];
+    renderLiveMarkers();
     canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
     
     // Reset button states
     document.getElementById("start").disabled = false;
     document.getElementById("stop").disabled = true;
+    document.getElementById("marker").disabled = true;
     document.getElementById("start").innerHTML = "&#x1F3A4;";
     document.getElementById("rerecord").style.display = 'none';
+    document.getElementById("retakeControls").style.display = 'none';
+    retakePoint = null;
     
     if (source) {
-        source.disconnect(analyser);
+        source.disconnect();
     }
     if (stream) {
         stream.getTracks().forEach(track => track.stop());
     }
+    if (tabSource) {
+        tabSource.disconnect();
+        tabSource = null;
+    }
+    if (tabStream) {
+        tabStream.getTracks().forEach(track => track.stop());
+        tabStream = null;
+    }
+    sourceControls.setRecording(false);
+    if (audioContext && audioContext.state !== 'closed') {
+        audioContext.close();
+    }
+    showRecorderNotice('');
+    voiceActivation = null;
+    clearTimeout(vadPauseTimeout);
+    vadPauseTimeout = null;
+    clearTimeout(scheduledStopTimeout);
+    scheduledStopTimeout = null;
+    currentTake = null;
+    updateVadStatus();
+    levelMeter.hide();
+    if (meterNode) {
+        meterNode.port.onmessage = null;
+        meterNode = null;
+    }
     if (animationId) {
         cancelAnimationFrame(animationId);
     }
     clearInterval(recordingTimeInterval);
+    recordingTimer.reset();
     document.getElementById("recording-length").textContent = "Recording length: 0.00 seconds";
     isRecording = false;
     isPaused = false;
@@ -939,16 +7102,32 @@ function drawProgressiveWaveform() {
 
     // Map the average value to a visual height
     const normalizedHeight = average / 128.0;
-    
-    // Push the new height to the waveform data array
-    fullWaveformData.push(normalizedHeight);
 
+    // Push the new height once per timeline column that has elapsed, so the
+    // x axis follows active recording time regardless of the frame rate
+    const targetLength = Math.floor(recordingTimer.elapsed() * WAVEFORM_POINTS_PER_SECOND);
+    while (fullWaveformData.length < targetLength) {
+        fullWaveformData.push(normalizedHeight);
+    }
+
+    redrawWaveform();
+
+    // Fix: Use querySelector for class name
+    const scrollContainer = document.querySelector(".waveform-scroll-container");
+    if (scrollContainer) {
+        scrollContainer.scrollLeft = canvas.width;
+    }
+}
+
+function redrawWaveform() {
     // Set canvas width to dynamically grow
-    const newWidth = fullWaveformData.length * 2;
+    const newWidth = fullWaveformData.length * WAVEFORM_POINT_WIDTH;
     canvas.width = Math.max(800, newWidth);
-    
+
     // Clear the canvas and redraw the entire progressive line
     canvasCtx.clearRect(0, 0, canvas.width, canvas.height);
+    drawWaveformTimeline();
+
     canvasCtx.lineWidth = 2;
     // Use a fixed color instead of CSS variable
     canvasCtx.strokeStyle = '#007bff'; // or use getComputedStyle to get the CSS variable
@@ -956,15 +7135,86 @@ function drawProgressiveWaveform() {
     canvasCtx.moveTo(0, canvas.height / 2);
 
     for (let i = 0; i < fullWaveformData.length; i++) {
-        const x = i * 2;
+        const x = i * WAVEFORM_POINT_WIDTH;
         const y = canvas.height / 2 - (fullWaveformData[i] * canvas.height / 2);
         canvasCtx.lineTo(x, y);
     }
     canvasCtx.stroke();
-    
-    // Fix: Use querySelector for class name
-    const scrollContainer = document.querySelector(".waveform-scroll-container");
-    if (scrollContainer) {
-        scrollContainer.scrollLeft = canvas.width;
+
+    drawWaveformMarkers();
+    drawRetakePoint();
+}
+
+// Shades what a retake from the picked point would replace
+function drawRetakePoint() {
+    if (retakePoint === null) return;
+    const x = Math.round(retakePoint * WAVEFORM_POINTS_PER_SECOND * WAVEFORM_POINT_WIDTH);
+    canvasCtx.fillStyle = 'rgba(244, 67, 54, 0.12)';
+    canvasCtx.fillRect(x, 0, canvas.width - x, canvas.height);
+    canvasCtx.strokeStyle = '#f44336';
+    canvasCtx.lineWidth = 2;
+    canvasCtx.beginPath();
+    canvasCtx.moveTo(x, 0);
+    canvasCtx.lineTo(x, canvas.height);
+    canvasCtx.stroke();
+}
+
+// Marks a point in the take, in active recording time so pauses don't shift it
+function addMarker() {
+    if (!isRecording) return;
+    recordingMarkers.push({ id: generateId('marker'), time: recordingTimer.elapsed(), label: '' });
+    renderLiveMarkers();
+    redrawWaveform();
+}
+
+function renderLiveMarkers() {
+    renderMarkerList(document.getElementById('liveMarkers'), recordingMarkers, {
+        onLabel: (marker, label) => {
+            marker.label = label;
+            redrawWaveform();
+        },
+        onDelete: (marker) => {
+            recordingMarkers = recordingMarkers.filter(m => m !== marker);
+            renderLiveMarkers();
+            redrawWaveform();
+        }
+    });
+}
+
+function drawWaveformMarkers() {
+    const secondWidth = WAVEFORM_POINTS_PER_SECOND * WAVEFORM_POINT_WIDTH;
+    canvasCtx.strokeStyle = '#ff9800';
+    canvasCtx.fillStyle = '#ff9800';
+    canvasCtx.font = '11px Arial';
+    canvasCtx.lineWidth = 2;
+
+    recordingMarkers.forEach((marker, i) => {
+        const x = Math.round(marker.time * secondWidth);
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(x, 0);
+        canvasCtx.lineTo(x, canvas.height);
+        canvasCtx.stroke();
+        canvasCtx.fillText(marker.label || `${i + 1}`, x + 4, 12);
+    });
+}
+
+// Draws a tick every second of active recording time and a label every five
+function drawWaveformTimeline() {
+    const secondWidth = WAVEFORM_POINTS_PER_SECOND * WAVEFORM_POINT_WIDTH;
+    canvasCtx.strokeStyle = 'rgba(128, 128, 128, 0.35)';
+    canvasCtx.fillStyle = 'rgba(128, 128, 128, 0.8)';
+    canvasCtx.font = '10px Arial';
+    canvasCtx.lineWidth = 1;
+
+    for (let second = 1; second * secondWidth < canvas.width; second++) {
+        const x = second * secondWidth + 0.5;
+        const tickHeight = second % 5 === 0 ? 8 : 4;
+        canvasCtx.beginPath();
+        canvasCtx.moveTo(x, canvas.height);
+        canvasCtx.lineTo(x, canvas.height - tickHeight);
+        canvasCtx.stroke();
+        if (second % 5 === 0) {
+            canvasCtx.fillText(audioPlayer.formatTime(second), x + 2, canvas.height - 2);
+        }
     }
-}
\ No newline at end of file
+}
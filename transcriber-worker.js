@@ -0,0 +1,81 @@
+// Transcriber worker: offline speech-to-text with a Whisper model run by transformers.js
+// on ONNX Runtime Web (WASM). Nothing is fetched from the network: the library is loaded
+// from lib/transformers/ and the model from models/ (see "Transcription" in the README).
+const LIBRARY_URL = new URL('./lib/transformers/transformers.min.js', self.location.href).href;
+const MODEL_ID = 'whisper-base';
+const SAMPLE_RATE = 16000;
+
+let transcriberPromise = null;
+
+function loadTranscriber(reportStatus) {
+    if (!transcriberPromise) {
+        transcriberPromise = (async () => {
+            const { pipeline, env } = await import(LIBRARY_URL);
+            env.allowRemoteModels = false;
+            env.allowLocalModels = true;
+            env.localModelPath = new URL('./models/', self.location.href).href;
+            env.backends.onnx.wasm.wasmPaths = new URL('./lib/transformers/', self.location.href).href;
+
+            return pipeline('automatic-speech-recognition', MODEL_ID, {
+                dtype: 'q8',
+                device: 'wasm',
+                progress_callback: (info) => {
+                    if (info.status === 'progress' && info.progress !== undefined) {
+                        reportStatus(`Loading model... ${Math.round(info.progress)}%`);
+                    }
+                }
+            });
+        })();
+        // Let the next job try again, e.g. after the model files have been added
+        transcriberPromise.catch(() => {
+            transcriberPromise = null;
+        });
+    }
+    return transcriberPromise;
+}
+
+self.onmessage = async (e) => {
+    const { jobId, audio, language } = e.data;
+    const reportStatus = (status) => self.postMessage({ jobId, status });
+
+    let transcriber;
+    try {
+        reportStatus('Loading model...');
+        transcriber = await loadTranscriber(reportStatus);
+    } catch (err) {
+        self.postMessage({
+            jobId,
+            error: `The speech recognition model is not installed (${err.message || err}). See "Transcription" in the README.`
+        });
+        return;
+    }
+
+    try {
+        reportStatus('Transcribing...');
+        const output = await transcriber(audio, {
+            return_timestamps: true,
+            chunk_length_s: 30,
+            stride_length_s: 5,
+            language: language || null,
+            task: 'transcribe'
+        });
+        self.postMessage({ jobId, segments: toSegments(output.chunks || [], audio.length / SAMPLE_RATE) });
+    } catch (err) {
+        self.postMessage({ jobId, error: err.message || String(err) });
+    }
+};
+
+// The last chunk can come back without an end time, so it runs to the next segment or the end
+function toSegments(chunks, duration) {
+    return chunks
+        .map((chunk, i) => {
+            const [start, end] = chunk.timestamp;
+            const next = chunks[i + 1];
+            return {
+                start: start || 0,
+                end: end !== null && end !== undefined ? end : (next ? next.timestamp[0] : duration),
+                text: chunk.text.trim()
+            };
+        })
+        .filter(segment => segment.text);
+}